@@ -0,0 +1,15 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Minutes between runs of the job expiring pending requests whose time slot has started
+    expiryCheckInterval: Number(process.env.BOOKING_EXPIRY_CHECK_INTERVAL) || 5,
+
+    // Fee charged when a customer cancels an accepted request close to its time slot
+    cancellation: {
+      // Hours before the time slot until which cancelling is free
+      freeWindow: numberFromEnv('CANCELLATION_FREE_WINDOW_HOURS', 24),
+      // Late cancellation fee as a percentage of the service price, at least minLateFee rupees
+      lateFeePercent: numberFromEnv('CANCELLATION_LATE_FEE_PERCENT', 20),
+      minLateFee: numberFromEnv('CANCELLATION_MIN_LATE_FEE', 0)
+    }
+  };
@@ -0,0 +1,12 @@
+// Numeric setting read from env, where 0 is a valid value (e.g. to turn a fee off).
+// Unset or empty falls back to the default; anything that is not a number stops startup.
+exports.numberFromEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} must be a number, got "${raw}"`);
+  }
+  return value;
+};
@@ -1,6 +1,16 @@
+// Tokens signed with a missing secret could be forged, refuse to start without one
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set');
+}
+
 module.exports = {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+
+    // Refresh tokens are signed with their own secret so they can never be used as access tokens,
+    // derived from JWT_SECRET when JWT_REFRESH_SECRET is not set
+    refreshSecret: process.env.JWT_REFRESH_SECRET || `${process.env.JWT_SECRET}.refresh`,
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   
     // Token generation options
     options: {
@@ -8,4 +18,4 @@ module.exports = {
       audience: 'allUser',
       algorithm: 'HS256'
     }
-  };
\ No newline at end of file
+  };
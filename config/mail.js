@@ -0,0 +1,14 @@
+const path = require('path');
+
+module.exports = {
+    // 'console' logs mails, 'file' appends them to outboxFile, 'memory' keeps them in process; see utils/mailer.js
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Local Service Provider <no-reply@localserviceprovider.com>',
+    outboxFile: process.env.MAIL_OUTBOX_FILE || path.join('logs', 'mail.log'),
+
+    // Base URL of the client app, used to build links sent by mail
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+
+    // Minutes a password reset token stays valid
+    passwordResetExpiresIn: Number(process.env.PASSWORD_RESET_EXPIRES_IN) || 10
+  };
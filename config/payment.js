@@ -0,0 +1,14 @@
+module.exports = {
+    // Payment gateway: 'razorpay', or 'mock' to run the payment flow offline, see utils/paymentGateway
+    gateway: process.env.PAYMENT_GATEWAY || 'razorpay',
+
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_SECRET,
+      // RazorpayX account payouts to providers are made from
+      accountNumber: process.env.RAZORPAY_ACCOUNT_NUMBER
+    },
+
+    // Secret set on the Razorpay dashboard webhook, used to verify X-Razorpay-Signature
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+  };
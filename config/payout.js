@@ -0,0 +1,24 @@
+const { numberFromEnv } = require('./env');
+
+module.exports = {
+    // Minutes between runs of the job paying providers out
+    checkInterval: Number(process.env.PAYOUT_CHECK_INTERVAL) || 30,
+
+    // Hours after a service is completed, or a late cancellation fee is charged, before
+    // the provider's share is paid out, leaving room for refunds
+    holdPeriod: numberFromEnv('PAYOUT_HOLD_PERIOD_HOURS', 48),
+
+    // Providers paid per run
+    batchSize: Number(process.env.PAYOUT_BATCH_SIZE) || 200,
+
+    // Failed payouts are retried after retryDelay minutes, doubling each time, up to
+    // maxAttempts; 0 attempts leaves every failed payout to an admin
+    maxAttempts: numberFromEnv('PAYOUT_MAX_ATTEMPTS', 5),
+    retryDelay: numberFromEnv('PAYOUT_RETRY_DELAY_MINUTES', 15),
+
+    // Minutes a payout can stay processing before the job checks it with the gateway
+    processingTimeout: Number(process.env.PAYOUT_PROCESSING_TIMEOUT_MINUTES) || 60,
+
+    // Gateway payout mode: IMPS, NEFT, RTGS or UPI
+    mode: process.env.PAYOUT_MODE || 'IMPS'
+  };
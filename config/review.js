@@ -0,0 +1,7 @@
+module.exports = {
+    // Days after posting during which a customer can still edit a review
+    editWindow: Number(process.env.REVIEW_EDIT_WINDOW_DAYS) || 7,
+
+    // Reports that hide a review until an admin moderates it
+    reportsToHide: Number(process.env.REVIEW_REPORTS_TO_HIDE) || 1
+  };
@@ -0,0 +1,21 @@
+module.exports = {
+    // Brute-force protection for POST /api/auth/login, see utils/loginThrottle.js
+    login: {
+      // Failed attempts allowed before every further attempt has to wait
+      freeAttempts: 3,
+      // Seconds to wait after the first delayed failure, doubled on each one after it
+      baseDelay: 1,
+      maxDelay: 60,
+      // Minutes after which earlier failures are forgotten
+      attemptWindow: 15,
+
+      account: {
+        maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+        lockDuration: Number(process.env.LOGIN_ACCOUNT_LOCK_MINUTES) || 15 // minutes
+      },
+      ip: {
+        maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+        lockDuration: Number(process.env.LOGIN_IP_LOCK_MINUTES) || 15 // minutes
+      }
+    }
+  };
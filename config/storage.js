@@ -0,0 +1,26 @@
+module.exports = {
+    // Storage backend for uploaded files; only 'local' (disk) is built in, see utils/storage
+    driver: process.env.STORAGE_DRIVER || 'local',
+
+    // Local disk backend: directory files are written to and URL path they are served from
+    uploadDir: process.env.UPLOAD_DIR || 'uploads',
+    publicPath: '/uploads',
+
+    // Image uploads
+    images: {
+      maxFileSize: Number(process.env.IMAGE_MAX_FILE_SIZE) || 5 * 1024 * 1024, // bytes
+      maxFilesPerUpload: 10,
+      maxPerService: 20,
+      maxPerPortfolio: 20,
+      allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+      maxWidth: 1600, // px, larger images are scaled down
+      thumbnailWidth: 320 // px
+    },
+
+    // Service catalogue CSV imports
+    csvImport: {
+      maxFileSize: 1024 * 1024, // bytes
+      maxRows: 500,
+      allowedMimeTypes: ['text/csv', 'application/vnd.ms-excel', 'text/plain']
+    }
+  };
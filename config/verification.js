@@ -0,0 +1,15 @@
+module.exports = {
+    // 'console' logs text messages, 'memory' keeps them in process; see utils/smsSender.js
+    smsTransport: process.env.SMS_TRANSPORT || 'console',
+
+    // Hours an email verification link stays valid
+    emailTokenExpiresIn: Number(process.env.EMAIL_VERIFICATION_EXPIRES_IN) || 24,
+
+    // Phone OTP settings
+    otpLength: 6,
+    otpExpiresIn: Number(process.env.PHONE_OTP_EXPIRES_IN) || 10, // minutes
+    otpMaxAttempts: 5,
+
+    // Seconds a user has to wait before asking for another link or OTP on the same channel
+    resendCooldown: Number(process.env.VERIFICATION_RESEND_COOLDOWN) || 60
+  };
@@ -0,0 +1,489 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Service = require('../models/Service');
+const Review = require('../models/Review');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const Category = require('../models/Category');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const getPagination = require('../utils/pagination');
+const escapeRegex = require('../utils/escapeRegex');
+
+
+exports.getUsers = catchAsync(async (req, res, next) => {
+  const { role, status, search } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter
+  const filter = {};
+  if (role) filter.role = role;
+  if (status) filter.status = status;
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone_number: pattern }];
+  }
+
+  // 2. Find users page
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('name email phone_number role status email_verified phone_verified suspended_at suspension_reason')
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    total,
+    page,
+    data: users
+  });
+});
+
+exports.suspendUser = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // 1. Find the user
+  const user = await User.findById(id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  // 2. Admins cannot be suspended from here
+  if (user.role === 'admin') {
+    return next(new AppError('Admin accounts cannot be suspended', 400));
+  }
+
+  if (user.status === 'suspended') {
+    return next(new AppError('User is already suspended', 400));
+  }
+
+  // 3. Suspend the user
+  user.status = 'suspended';
+  user.suspended_at = Date.now();
+  user.suspension_reason = reason;
+  await user.save({ validateBeforeSave: false });
+
+  // 4. Log the user out everywhere
+  await Session.updateMany(
+    { user: user._id, active: true },
+    { logoutTime: Date.now(), active: false, revokedReason: 'account_suspended' }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User suspended successfully'
+  });
+});
+
+exports.reactivateUser = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Find the user
+  const user = await User.findById(id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.status !== 'suspended') {
+    return next(new AppError('User is not suspended', 400));
+  }
+
+  // 2. Reactivate the user
+  user.status = 'active';
+  user.suspended_at = undefined;
+  user.suspension_reason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User reactivated successfully'
+  });
+});
+
+exports.takeDownService = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // 1. Find the service
+  const service = await Service.findById(id);
+  if (!service) {
+    return next(new AppError('Service not found', 404));
+  }
+
+  if (service.status === 'taken_down') {
+    return next(new AppError('Service is already taken down', 400));
+  }
+
+  // 2. Take down the service and its child services
+  await Service.updateMany(
+    { $or: [{ _id: id }, { parent_service: id }] },
+    { status: 'taken_down', taken_down_at: Date.now(), taken_down_reason: reason }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Service taken down successfully'
+  });
+});
+
+exports.takeDownReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // 1. Find the review
+  const review = await Review.findById(id);
+  if (!review) {
+    return next(new AppError('Review not found', 404));
+  }
+
+  if (review.status === 'taken_down') {
+    return next(new AppError('Review is already taken down', 400));
+  }
+
+  // 2. Take down the review
+  review.status = 'taken_down';
+  review.moderated_at = Date.now();
+  review.taken_down_at = Date.now();
+  review.taken_down_reason = reason;
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review taken down successfully'
+  });
+});
+
+exports.getReviews = catchAsync(async (req, res, next) => {
+  const { status = 'flagged', service } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter, flagged reviews waiting for moderation by default
+  const filter = { status };
+  if (service) filter.service = service;
+
+  // 2. Find reviews page
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .populate({ path: 'customer', select: 'name email' })
+      .populate({ path: 'service', select: 'name provider' })
+      .populate({ path: 'reports.user', select: 'name email role' })
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    total,
+    page,
+    data: reviews
+  });
+});
+
+exports.approveReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Find the review
+  const review = await Review.findById(id);
+  if (!review) {
+    return next(new AppError('Review not found', 404));
+  }
+
+  if (review.status === 'published') {
+    return next(new AppError('Review is already published', 400));
+  }
+
+  // 2. Publish the review; reports made so far are considered handled
+  review.status = 'published';
+  review.moderated_at = Date.now();
+  review.taken_down_at = undefined;
+  review.taken_down_reason = undefined;
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review approved successfully'
+  });
+});
+
+exports.getPayments = catchAsync(async (req, res, next) => {
+  const { status, customer, provider } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter
+  const filter = {};
+  if (status) filter.status = status;
+  if (customer) filter.customer = customer;
+  if (provider) filter.provider = provider;
+
+  // 2. Find payments page
+  const [payments, total] = await Promise.all([
+    Payment.find(filter)
+      .populate({ path: 'customer', select: 'name email' })
+      .populate({ path: 'provider', select: 'name email' })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Payment.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payments.length,
+    total,
+    page,
+    data: payments
+  });
+});
+
+exports.getTransfers = catchAsync(async (req, res, next) => {
+  const { status, provider } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter
+  const filter = {};
+  if (status) filter.status = status;
+  if (provider) filter.provider = provider;
+
+  // 2. Find transfers page
+  const [transfers, total] = await Promise.all([
+    Transfer.find(filter)
+      .populate({ path: 'provider', select: 'name email' })
+      .populate({ path: 'payment', select: 'bill amount status razorpay_payment_id' })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Transfer.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: transfers.length,
+    total,
+    page,
+    data: transfers
+  });
+});
+
+exports.getBankDetails = catchAsync(async (req, res, next) => {
+  const { status = 'pending' } = req.query;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Find bank details page, waiting for verification by default
+  const filter = { verification_status: status };
+  const [bankDetails, total] = await Promise.all([
+    ProviderBankDetail.find(filter)
+      .populate({ path: 'provider', select: 'name email phone_number' })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    ProviderBankDetail.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: bankDetails.length,
+    total,
+    page,
+    data: bankDetails
+  });
+});
+
+exports.verifyBankDetails = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
+  // 1. Validate input
+  if (!['verified', 'failed'].includes(status)) {
+    return next(new AppError('Status must be verified or failed', 400));
+  }
+  if (status === 'failed' && !note) {
+    return next(new AppError('Please provide a note telling the provider what is wrong', 400));
+  }
+
+  // 2. Find the bank details
+  const bankDetails = await ProviderBankDetail.findById(id);
+  if (!bankDetails) {
+    return next(new AppError('Bank details not found', 404));
+  }
+
+  // 3. Record the admin's decision, payouts start on the next run once verified
+  bankDetails.set({
+    verification_status: status,
+    verification_note: note,
+    verified_by: req.user._id,
+    verified_at: Date.now()
+  });
+  await bankDetails.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: status === 'verified' ? 'Bank details verified' : 'Bank details marked as failed',
+    data: bankDetails
+  });
+});
+
+exports.holdTransfer = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(new AppError('Please provide a reason for holding the transfer', 400));
+  }
+
+  // 1. Hold only transfers the payout job has not picked up
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: id, status: { $in: ['created', 'failed'] } },
+    { status: 'on_hold', hold_reason: reason, held_by: req.user._id, $unset: { next_attempt_at: 1 }, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!transfer) {
+    const existing = await Transfer.findById(id);
+    if (!existing) {
+      return next(new AppError('Transfer not found', 404));
+    }
+    return next(new AppError(`Transfer is ${existing.status.replace('_', ' ')} and cannot be held`, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Transfer put on hold',
+    data: transfer
+  });
+});
+
+exports.retryTransfer = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Queue failed or held transfers for the next payout run with fresh attempts
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: id, status: { $in: ['failed', 'on_hold'] } },
+    {
+      status: 'created',
+      attempts: 0,
+      $unset: { next_attempt_at: 1, hold_reason: 1, held_by: 1 },
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!transfer) {
+    const existing = await Transfer.findById(id);
+    if (!existing) {
+      return next(new AppError('Transfer not found', 404));
+    }
+    return next(new AppError(`Transfer is ${existing.status.replace('_', ' ')} and cannot be retried`, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Transfer queued for the next payout run',
+    data: transfer
+  });
+});
+
+
+exports.getCategories = catchAsync(async (req, res, next) => {
+  const categories = await Category.find().sort({ name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: categories.length,
+    data: categories
+  });
+});
+
+exports.createCategory = catchAsync(async (req, res, next) => {
+  const { slug, name, icon, parent, active } = req.body;
+
+  // 1. Validate required fields
+  if (!slug || !name) {
+    return next(new AppError('Please provide category slug and name', 400));
+  }
+
+  // 2. Check parent category exists if provided
+  if (parent && !(await Category.exists({ _id: parent }))) {
+    return next(new AppError('Parent category not found', 404));
+  }
+
+  // 3. Create category (duplicate slugs are rejected by the unique index)
+  const category = await Category.create({ slug, name, icon, parent: parent || null, active });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Category created successfully',
+    data: category
+  });
+});
+
+exports.updateCategory = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { slug, name, icon, parent, active } = req.body;
+
+  // 1. Find the category
+  const category = await Category.findById(id);
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  // 2. Check the new parent exists and is not the category itself or below it
+  if (parent) {
+    if (!(await Category.exists({ _id: parent }))) {
+      return next(new AppError('Parent category not found', 404));
+    }
+    const subtreeIds = await Category.findWithDescendantIds(id, { activeOnly: false });
+    if (subtreeIds.some(categoryId => categoryId.equals(parent))) {
+      return next(new AppError('A category cannot be moved below itself', 400));
+    }
+  }
+
+  // 3. Update category
+  if (slug !== undefined) category.slug = slug;
+  if (name !== undefined) category.name = name;
+  if (icon !== undefined) category.icon = icon;
+  if (parent !== undefined) category.parent = parent || null;
+  if (active !== undefined) category.active = active;
+  await category.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Category updated successfully',
+    data: category
+  });
+});
+
+exports.deleteCategory = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Find the category
+  const category = await Category.findById(id);
+  if (!category) {
+    return next(new AppError('Category not found', 404));
+  }
+
+  // 2. Categories still in use can only be deactivated
+  const [hasChildren, hasServices] = await Promise.all([
+    Category.exists({ parent: id }),
+    Service.exists({ category: id })
+  ]);
+  if (hasChildren || hasServices) {
+    return next(new AppError('Category has sub-categories or services. Deactivate it instead.', 400));
+  }
+
+  // 3. Delete the category
+  await Category.findByIdAndDelete(id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Category deleted successfully'
+  });
+});
\ No newline at end of file
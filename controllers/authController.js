@@ -4,6 +4,72 @@ const catchAsync = require('../utils/catchAsync');
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt');
 const Session = require('../models/Session')
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const mailConfig = require('../config/mail');
+const smsSender = require('../utils/smsSender');
+const verificationConfig = require('../config/verification');
+const loginThrottle = require('../utils/loginThrottle');
+
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, role: user.role, email: user.email, sid: session._id },
+  jwtConfig.secret,
+  {
+    expiresIn: jwtConfig.expiresIn,
+    issuer: jwtConfig.options.issuer,
+    audience: jwtConfig.options.audience,
+    algorithm: jwtConfig.options.algorithm
+  }
+);
+
+// Sign a refresh token for a session; jti is the one-time id stored (hashed) on the session
+const signRefreshToken = (user, session, jti) => jwt.sign(
+  { id: user._id, sid: session._id, jti },
+  jwtConfig.refreshSecret,
+  {
+    expiresIn: jwtConfig.refreshExpiresIn,
+    issuer: jwtConfig.options.issuer,
+    audience: jwtConfig.options.audience,
+    algorithm: jwtConfig.options.algorithm
+  }
+);
+
+// 429 error telling the client when it may try to log in again
+const tooManyLoginAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return new AppError(`Too many failed login attempts. Please try again in ${retryAfter} seconds.`, 429);
+};
+
+// Issue a new email verification link and mail it to the user
+const sendEmailVerification = async user => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. ` +
+      `It is valid for ${verificationConfig.emailTokenExpiresIn} hours.\n\n` +
+      `${mailConfig.clientUrl}/verify-email/${verificationToken}`
+  });
+};
+
+// Issue a new phone OTP and text it to the user
+const sendPhoneOtp = async user => {
+  const otp = user.createPhoneOtp();
+  await user.save({ validateBeforeSave: false });
+
+  await smsSender.sendSms({
+    to: user.phone_number,
+    text: `${otp} is your Local Service Provider verification code. ` +
+      `It is valid for ${verificationConfig.otpExpiresIn} minutes.`
+  });
+};
 
 exports.register = catchAsync(async (req, res, next) => {
   const {
@@ -53,17 +119,128 @@ exports.register = catchAsync(async (req, res, next) => {
     address
   });
 
+  // Send verification link and OTP; if sending fails the user can ask for them again
+  try {
+    await sendEmailVerification(newUser);
+    await sendPhoneOtp(newUser);
+  } catch (err) {
+    logger.error(`Failed to send verification to user ${newUser._id}: ${err.message}`);
+  }
+
   // Remove password from output
   newUser.password = undefined;
 
   res.status(201).json({
     status: 'success',
-    message: 'User registered successfully',
+    message: 'User registered successfully. Please verify your email and phone number.',
     user_id: newUser._id
   });
 });
 
 
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const { token } = req.params;
+
+  // 1. Find user by hashed token that has not expired yet
+  const user = await User.findOne({
+    emailVerificationToken: crypto.createHash('sha256').update(token).digest('hex'),
+    emailVerificationExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  // 2. Mark email as verified and burn the token
+  user.email_verified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully'
+  });
+});
+
+
+exports.verifyPhone = catchAsync(async (req, res, next) => {
+  const { otp } = req.body;
+
+  if (!otp) {
+    return next(new AppError('Please provide the OTP', 400));
+  }
+
+  // 1. Get user with OTP details
+  const user = await User.findById(req.user.id).select('+phoneOtp +phoneOtpExpires +phoneOtpAttempts');
+
+  if (user.phone_verified) {
+    return next(new AppError('Phone number is already verified', 400));
+  }
+
+  // 2. Check OTP, counting failed attempts so it cannot be brute-forced
+  if (!user.matchPhoneOtp(String(otp))) {
+    user.phoneOtpAttempts += 1;
+    await user.save({ validateBeforeSave: false });
+    return next(new AppError('OTP is invalid or has expired', 400));
+  }
+
+  // 3. Mark phone as verified and burn the OTP
+  user.phone_verified = true;
+  user.phoneOtp = undefined;
+  user.phoneOtpExpires = undefined;
+  user.phoneOtpAttempts = 0;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Phone number verified successfully'
+  });
+});
+
+
+exports.resendVerification = catchAsync(async (req, res, next) => {
+  const { channel } = req.body;
+
+  // 1. Validate channel
+  if (!['email', 'phone'].includes(channel)) {
+    return next(new AppError('Channel must be either email or phone', 400));
+  }
+
+  const user = req.user;
+  if ((channel === 'email' && user.email_verified) || (channel === 'phone' && user.phone_verified)) {
+    return next(new AppError(`Your ${channel} is already verified`, 400));
+  }
+
+  // 2. Throttle resends per channel
+  const lastSentAt = channel === 'email' ? user.emailVerificationSentAt : user.phoneOtpSentAt;
+  const waitSeconds = lastSentAt
+    ? Math.ceil((lastSentAt.getTime() + verificationConfig.resendCooldown * 1000 - Date.now()) / 1000)
+    : 0;
+
+  if (waitSeconds > 0) {
+    return next(new AppError(`Please wait ${waitSeconds} seconds before requesting another ${channel} verification`, 429));
+  }
+
+  // 3. Issue and send a new link or OTP
+  try {
+    if (channel === 'email') {
+      await sendEmailVerification(user);
+    } else {
+      await sendPhoneOtp(user);
+    }
+  } catch (err) {
+    logger.error(`Failed to send ${channel} verification to user ${user._id}: ${err.message}`);
+    return next(new AppError('There was an error sending the verification. Please try again later.', 500));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: channel === 'email' ? 'Verification link sent to your email' : 'OTP sent to your phone number'
+  });
+});
+
+
 exports.login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body;
 
@@ -72,40 +249,53 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
 
-  // 2. Check if user exists and password is correct
-  const user = await User.findOne({ email }).select('+password');
+  // 2. Check the account and IP are not locked out or waiting out a delay
+  const retryAfter = await loginThrottle.getRetryAfter(email, req.ip);
+  if (retryAfter > 0) {
+    return next(tooManyLoginAttempts(res, retryAfter));
+  }
+
+  // 3. Check if user exists and password is correct
+  const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
   if (!user || !(await user.matchPassword(password))) {
+    const failure = await loginThrottle.recordFailedLogin({
+      email,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      user
+    });
+
+    if (failure.locked) {
+      return next(tooManyLoginAttempts(res, failure.retryAfter));
+    }
     return next(new AppError('Incorrect email or password', 401));
   }
 
-  // 3. Generate JWT token using your config
-  const token = jwt.sign(
-    { id: user._id, role: user.role, email: user.email },
-    jwtConfig.secret,
-    {
-      expiresIn: jwtConfig.expiresIn,
-      issuer: jwtConfig.options.issuer,
-      audience: jwtConfig.options.audience,
-      algorithm: jwtConfig.options.algorithm
-    }
-  );
+  await loginThrottle.clearFailedLogins(email);
 
   // 4. Create a new session
-  await Session.create({
+  const jti = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
     user: user._id,
     ip: req.ip, // Get IP address from request
-    userAgent: req.get('User-Agent') // Get user agent from request headers
+    userAgent: req.get('User-Agent') || 'unknown', // Get user agent from request headers
+    refreshTokenHash: hashToken(jti)
   });
 
-  // 5. Remove password from output
+  // 5. Generate access and refresh tokens bound to the session
+  const token = signAccessToken(user, session);
+  const refreshToken = signRefreshToken(user, session, jti);
+
+  // 6. Remove password from output
   user.password = undefined;
 
-  // 6. Send response with token
+  // 7. Send response with token
   res.status(200).json({
     status: 'success',
     message: 'Login successful',
     accessToken: token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
@@ -116,11 +306,71 @@ exports.login = catchAsync(async (req, res, next) => {
 });
 
 
+exports.refresh = catchAsync(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new AppError('Please provide a refresh token', 400));
+  }
+
+  // 1. Verify refresh token
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, jwtConfig.refreshSecret, {
+      issuer: jwtConfig.options.issuer,
+      audience: jwtConfig.options.audience,
+      algorithms: [jwtConfig.options.algorithm]
+    });
+  } catch (err) {
+    return next(new AppError('Invalid or expired refresh token. Please log in again.', 401));
+  }
+
+  // 2. Check the session is still active
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+  if (!session || !session.active || session.user.toString() !== decoded.id) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
+  // 3. Rotate the refresh token. Matching on the old hash makes sure only one
+  // request can redeem it; anything else is a replay of a used token.
+  const newJti = crypto.randomBytes(32).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, active: true, refreshTokenHash: hashToken(decoded.jti) },
+    { refreshTokenHash: hashToken(newJti), lastRefreshedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // Reuse detected: revoke the session and with it every token issued from it
+    await Session.findByIdAndUpdate(session._id, {
+      active: false,
+      logoutTime: Date.now(),
+      revokedReason: 'refresh_token_reuse'
+    });
+    logger.warn(`Refresh token reuse detected for session ${session._id} of user ${decoded.id} from ${req.ip}`);
+    return next(new AppError('Refresh token has already been used. Please log in again.', 401));
+  }
+
+  // 4. Check if user still exists
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return next(new AppError('The user belonging to this token no longer exists.', 401));
+  }
+
+  // 5. Send new token pair
+  res.status(200).json({
+    status: 'success',
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: signRefreshToken(user, rotated, newJti)
+  });
+});
+
+
 exports.logout = catchAsync(async (req, res, next) => {
-  // 1. Find the active session for the user
+  // 1. Deactivate the session the token belongs to
   const session = await Session.findOneAndUpdate(
-    { user: req.user.id, active: true }, // Find active session
-    { logoutTime: Date.now(), active: false }, // Update logout time and set inactive
+    { _id: req.currentSession._id, active: true }, // Find active session
+    { logoutTime: Date.now(), active: false, revokedReason: 'logout' }, // Update logout time and set inactive
     { new: true } // Return the updated session
   );
 
@@ -136,27 +386,183 @@ exports.logout = catchAsync(async (req, res, next) => {
 });
 
 
+exports.getSessions = catchAsync(async (req, res, next) => {
+  // 1. Find all active sessions of the user, newest first
+  const sessions = await Session.find({ user: req.user.id, active: true })
+    .sort({ loginTime: -1 });
+
+  // 2. Send response
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: sessions.map(session => ({
+      session_id: session._id,
+      ip: session.ip,
+      user_agent: session.userAgent,
+      login_time: session.loginTime,
+      last_refreshed_at: session.lastRefreshedAt,
+      current: session._id.equals(req.currentSession._id)
+    }))
+  });
+});
+
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Deactivate the session, only if it belongs to the user
+  const session = await Session.findOneAndUpdate(
+    { _id: id, user: req.user.id, active: true },
+    { logoutTime: Date.now(), active: false, revokedReason: 'revoked' },
+    { new: true }
+  );
+
+  if (!session) {
+    return next(new AppError('No active session found with that ID', 404));
+  }
+
+  // 2. Send response
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+});
+
+
+exports.logoutAll = catchAsync(async (req, res, next) => {
+  // 1. Deactivate every active session of the user, including the current one
+  const result = await Session.updateMany(
+    { user: req.user.id, active: true },
+    { logoutTime: Date.now(), active: false, revokedReason: 'logout_all' }
+  );
+
+  // 2. Send response
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out from all devices',
+    sessions_revoked: result.modifiedCount
+  });
+});
+
+
+exports.forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email', 400));
+  }
+
+  // Same response whether or not the account exists, so emails cannot be probed
+  const response = {
+    status: 'success',
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  // 1. Find user by email
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  // 2. Generate one-time reset token
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  // 3. Send it to the user's email
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Your password reset link',
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. ` +
+        `It is valid for ${mailConfig.passwordResetExpiresIn} minutes and can be used once.\n\n` +
+        `${mailConfig.clientUrl}/reset-password/${resetToken}\n\n` +
+        'If you did not request this, you can ignore this email.'
+    });
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.error(`Failed to send password reset mail to ${user.email}: ${err.message}`);
+    return next(new AppError('There was an error sending the email. Please try again later.', 500));
+  }
+
+  res.status(200).json(response);
+});
+
+
 exports.resetPassword = catchAsync(async (req, res, next) => {
-  // 1. Get user from request
+  const { token } = req.params;
   const { new_password } = req.body;
 
   if (!new_password) {
     return next(new AppError('Please provide a new password', 400));
   }
 
-  // 2. Find user and update password
+  // 1. Find user by hashed token that has not expired yet
+  const user = await User.findOne({
+    passwordResetToken: crypto.createHash('sha256').update(token).digest('hex'),
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Password reset token is invalid or has expired', 400));
+  }
+
+  // 2. Update password and burn the token (pre-save hook will handle hashing)
+  user.password = new_password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // 3. Log out every session, the old password may have been compromised
+  await Session.updateMany(
+    { user: user._id, active: true },
+    { logoutTime: Date.now(), active: false, revokedReason: 'password_reset' }
+  );
+
+  // 4. Unlock the account if it was locked out by failed logins
+  await loginThrottle.clearFailedLogins(user.email);
+
+  // 5. Send response
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successful. Please log in with your new password.'
+  });
+});
+
+
+exports.changePassword = catchAsync(async (req, res, next) => {
+  // 1. Get passwords from request
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return next(new AppError('Please provide your current and new password', 400));
+  }
+
+  // 2. Find user and check current password
   const user = await User.findById(req.user.id).select('+password');
   if (!user) {
     return next(new AppError('User not found', 404));
   }
 
+  if (!(await user.matchPassword(current_password))) {
+    return next(new AppError('Your current password is incorrect', 401));
+  }
+
   // 3. Update password (pre-save hook will handle hashing )
   user.password = new_password;
   await user.save();
 
-  // 4. Send response
+  // 4. Log out every other session
+  await Session.updateMany(
+    { user: user._id, active: true, _id: { $ne: req.currentSession._id } },
+    { logoutTime: Date.now(), active: false, revokedReason: 'password_change' }
+  );
+
+  // 5. Send response
   res.status(200).json({
     status: 'success',
-    message: 'Password reset successful'
+    message: 'Password changed successfully'
   });
 });
\ No newline at end of file
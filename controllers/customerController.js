@@ -4,12 +4,68 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const User = require('../models/User');
 const Review = require('../models/Review');
+const Category = require('../models/Category');
+const Availability = require('../models/Availability');
+const availabilityUtils = require('../utils/availability');
+const booking = require('../utils/booking');
+const billing = require('../utils/billing');
+const serviceRequestListing = require('../utils/serviceRequestListing');
+const rescheduleHandlers = require('../utils/rescheduleHandlers');
+const getPagination = require('../utils/pagination');
+const cursor = require('../utils/cursor');
+const escapeRegex = require('../utils/escapeRegex');
+const serviceArea = require('../utils/serviceArea');
 
+// Public shape of a review with its customer populated
+const formatReview = review => ({
+  review_id: review._id,
+  customer: review.customer ? review.customer.name : 'Not Available',
+  rating: review.rating,
+  comment: review.comment,
+  verified: Boolean(review.request),
+  reply: review.reply && review.reply.comment ? review.reply : null,
+  created_at: review.created_at,
+  updated_at: review.updated_at
+});
+
+// Sort options of the service search: sort field and direction
+const searchSorts = {
+  distance: { field: 'distance', direction: 1 },
+  price: { field: 'price', direction: 1 },
+  rating: { field: 'rating_average', direction: -1 },
+  popularity: { field: 'completed_requests', direction: -1 }
+};
+
+
+exports.getCategories = catchAsync(async (req, res, next) => {
+  const categories = await Category.find({ active: true })
+    .select('slug name icon parent')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: categories.length,
+    data: categories
+  });
+});
 
 exports.getAllParentServices = catchAsync(async (req, res, next) => {
   const parentServices = await Service.aggregate([
-    { $match: { parent_service: null } },
-    { $group: { _id: "$name", count: { $sum: 1 }, services: { $push: "$address" } } }
+    { $match: { parent_service: null, status: { $nin: Service.HIDDEN_STATUSES } } },
+    { $group: { _id: "$category", count: { $sum: 1 }, services: { $push: "$address" } } },
+    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+    { $unwind: '$category' },
+    { $match: { 'category.active': true } },
+    {
+      $project: {
+        _id: 1,
+        slug: '$category.slug',
+        name: '$category.name',
+        icon: '$category.icon',
+        count: 1,
+        services: 1
+      }
+    }
   ]);
 
   res.status(200).json({
@@ -19,8 +75,178 @@ exports.getAllParentServices = catchAsync(async (req, res, next) => {
   });
 });
 
+exports.searchServices = catchAsync(async (req, res, next) => {
+  const { q, category, sort = 'distance' } = req.query;
+  let {
+    radius = 10,
+    minPrice = 0,
+    maxPrice = Number.MAX_VALUE,
+    minRating = 0,
+    limit = 20
+  } = req.query;
+
+  // 1. Validate parameters
+  radius = Number(radius);
+  minPrice = Number(minPrice);
+  maxPrice = Number(maxPrice);
+  minRating = Number(minRating);
+  limit = Math.min(parseInt(limit, 10) || 20, 50);
+
+  if (isNaN(radius) || radius <= 0) return next(new AppError('Invalid radius parameter', 400));
+  if (isNaN(minPrice) || isNaN(maxPrice) || minPrice < 0 || maxPrice < 0 || minPrice > maxPrice) {
+    return next(new AppError('Invalid price range parameters', 400));
+  }
+  if (isNaN(minRating) || minRating < 0 || minRating > 5) {
+    return next(new AppError('Minimum rating must be between 0 and 5', 400));
+  }
+  if (!searchSorts[sort]) {
+    return next(new AppError(`Invalid sort. Allowed values are: ${Object.keys(searchSorts).join(', ')}`, 400));
+  }
+  if (limit < 1) return next(new AppError('Invalid limit parameter', 400));
+
+  const { field: sortField, direction } = searchSorts[sort];
+  const after = req.query.cursor ? cursor.decode(req.query.cursor) : null;
+
+  // 2. Build the service filter
+  const query = {
+    status: { $nin: Service.HIDDEN_STATUSES },
+    price: { $gte: minPrice, $lte: maxPrice }
+  };
+
+  if (category) {
+    const categoryDoc = await Category.resolve(category);
+    if (!categoryDoc) {
+      return next(new AppError('Category not found', 404));
+    }
+    query.category = { $in: await Category.findWithDescendantIds(categoryDoc._id) };
+  }
+
+  // Every word of the search text has to appear in the name or description
+  const terms = String(q || '').trim().split(/\s+/).filter(Boolean).slice(0, 10);
+  if (terms.length) {
+    query.$and = terms.map(term => {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      return { $or: [{ name: pattern }, { description: pattern }] };
+    });
+  }
+
+  // 3. Get the location to search around: a saved address or the registered one
+  const user = await User.findById(req.user.id);
+  const bookingAddress = user.getBookingAddress(req.query.address_id);
+  if (!bookingAddress) {
+    return next(new AppError('Address not found', 404));
+  }
+  if (!bookingAddress.location?.coordinates?.length) {
+    return next(new AppError('User location not found', 400));
+  }
+  const { coordinates } = bookingAddress.location;
+
+  // 4. Geospatial search with ratings and popularity, one page after the cursor
+  const services = await Service.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates
+        },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: radius * 1000, // Convert km to meters
+        spherical: true,
+        query
+      }
+    },
+    // Only providers whose service area covers the customer
+    { $match: serviceArea.coveringFilter(coordinates) },
+    {
+      $lookup: {
+        from: 'servicerequests',
+        let: { serviceId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$service', '$$serviceId'] }, status: 'completed' } },
+          { $count: 'count' }
+        ],
+        as: 'completed'
+      }
+    },
+    {
+      $addFields: {
+        rating_average: { $ifNull: ['$rating.average', 0] },
+        review_count: { $ifNull: ['$rating.count', 0] },
+        completed_requests: { $ifNull: [{ $first: '$completed.count' }, 0] }
+      }
+    },
+    { $match: { rating_average: { $gte: minRating } } },
+    ...(after ? [cursor.afterCursor(sortField, direction, after)] : []),
+    { $sort: { [sortField]: direction, _id: 1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'provider',
+        foreignField: '_id',
+        as: 'provider_info'
+      }
+    },
+    {
+      $unwind: '$provider_info'
+    },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: 'category',
+        foreignField: '_id',
+        as: 'category_info'
+      }
+    },
+    {
+      $project: {
+        _id: 1,
+        name: 1,
+        description: 1,
+        price: 1,
+        address: 1,
+        parent_service: 1,
+        provider: '$provider_info.name',
+        category: { $first: '$category_info.slug' },
+        thumbnail_url: { $first: '$images.thumbnail_url' },
+        distance: 1,
+        rating_average: 1,
+        review_count: 1,
+        completed_requests: 1
+      }
+    }
+  ]);
+
+  // 5. Work out the cursor of the next page
+  const hasMore = services.length > limit;
+  const page = services.slice(0, limit);
+  const last = page[page.length - 1];
+
+  res.status(200).json({
+    status: 'success',
+    results: page.length,
+    next_cursor: hasMore ? cursor.encode(last[sortField], last._id) : null,
+    data: page.map(s => ({
+      service_id: s._id,
+      name: s.name,
+      description: s.description,
+      category: s.category,
+      parent_service: s.parent_service || null,
+      provider: s.provider,
+      price: s.price,
+      address: s.address,
+      thumbnail_url: s.thumbnail_url || null,
+      distance_km: Math.round(s.distance) / 1000,
+      rating_average: s.rating_average,
+      review_count: s.review_count,
+      completed_requests: s.completed_requests
+    }))
+  });
+});
+
 exports.getFilteredServices = catchAsync(async (req, res, next) => {
-  const { service_name } = req.params;
+  const { category } = req.params;
   let { radius = 10, minPrice = 0, maxPrice = Number.MAX_VALUE } = req.query; // Default radius 10km
 
   // Validate radius and prices
@@ -33,30 +259,46 @@ console.log(radius, minPrice, maxPrice);
     return next(new AppError('Invalid price range parameters', 400));
   }
 
-  // 1. Get user's location
+  // 1. Resolve the category, services of its sub-categories match too
+  const categoryDoc = await Category.resolve(category);
+  if (!categoryDoc) {
+    return next(new AppError('Category not found', 404));
+  }
+  const categoryIds = await Category.findWithDescendantIds(categoryDoc._id);
+
+  // 2. Get the location to search around: a saved address or the registered one
   const user = await User.findById(req.user.id);
-  if (!user?.location?.coordinates) {
+  const bookingAddress = user.getBookingAddress(req.query.address_id);
+  if (!bookingAddress) {
+    return next(new AppError('Address not found', 404));
+  }
+  if (!bookingAddress.location?.coordinates?.length) {
     return next(new AppError('User location not found', 400));
   }
+  const { coordinates } = bookingAddress.location;
 
-  // 2. Perform geospatial query with price filter
+  // 3. Perform geospatial query with price filter
   const services = await Service.aggregate([
     {
       $geoNear: {
         near: {
           type: 'Point',
-          coordinates: user.location.coordinates
+          coordinates
         },
+        key: 'location',
         distanceField: 'distance',
         maxDistance: radius * 1000, // Convert km to meters
         spherical: true,
         query: { 
-          name: service_name,
+          category: { $in: categoryIds },
           parent_service: null, // Only parent services
+          status: { $nin: Service.HIDDEN_STATUSES },
           price: { $gte: minPrice, $lte: maxPrice }
         }
       }
     },
+    // Only providers whose service area covers the customer
+    { $match: serviceArea.coveringFilter(coordinates) },
     {
       $lookup: {
         from: 'users',
@@ -88,7 +330,8 @@ console.log(radius, minPrice, maxPrice);
       name: s.name,
       provider: s.provider,
       price: s.price,
-      address: s.address
+      address: s.address,
+      distance: s.distance
     }))
   });
 });
@@ -101,18 +344,25 @@ exports.getServiceDetails = catchAsync(async (req, res, next) => {
     .populate({ path: 'provider', select: 'name' }) // Ensure provider name is available
     .populate({ path: 'parent_service', select: 'name price' }); // Ensure parent service details are available
 
-  if (!service) {
+  if (!service || service.status === 'taken_down') {
     return next(new AppError('Service not found', 404));
   }
 
-  // 2. Find child services
-  const childServices = await Service.find({ parent_service: id })
-    .select('_id name price');
+  // 2. Find child services and latest reviews
+  const [childServices, latestReviews] = await Promise.all([
+    Service.find({ parent_service: id, status: { $nin: Service.HIDDEN_STATUSES } })
+      .select('_id name price'),
+    Review.find({ service: id, status: 'published' })
+      .populate({ path: 'customer', select: 'name' })
+      .sort({ created_at: -1 })
+      .limit(3)
+  ]);
 
   // 3. Format response
   const response = {
     service_id: service._id,
     name: service.name,
+    archived: service.status === 'archived',
     description: service.description,
     price: service.price,
     provider: service.provider ? service.provider.name : "Not Available",
@@ -125,7 +375,13 @@ exports.getServiceDetails = catchAsync(async (req, res, next) => {
       service_id: child._id,
       name: child.name,
       price: child.price
-    }))
+    })),
+    images: service.images.map(image => ({
+      url: image.url,
+      thumbnail_url: image.thumbnail_url
+    })),
+    rating: service.rating,
+    latest_reviews: latestReviews.map(formatReview)
   };
 
   res.status(200).json({
@@ -134,33 +390,101 @@ exports.getServiceDetails = catchAsync(async (req, res, next) => {
   });
 });
 
+exports.getServiceSlots = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { date } = req.query;
+
+  // 1. Validate date
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    return next(new AppError('Please provide a valid date in YYYY-MM-DD format', 400));
+  }
+
+  // 2. Find the service and its provider's availability
+  const service = await Service.findById(id);
+  if (!service || Service.HIDDEN_STATUSES.includes(service.status)) {
+    return next(new AppError('Service not found', 404));
+  }
+
+  const availability = await Availability.findOne({ provider: service.provider });
+  if (!availability) {
+    return next(new AppError('This provider is not taking bookings yet', 400));
+  }
+
+  // 3. Find the provider's bookings around that day
+  const [year, month, day] = date.split('-').map(Number);
+  const dayStart = new Date(Date.UTC(year, month - 1, day) - 24 * 60 * 60 * 1000);
+  const dayEnd = new Date(Date.UTC(year, month - 1, day) + 2 * 24 * 60 * 60 * 1000);
+  const bookings = await ServiceRequest.find(
+    availabilityUtils.overlapFilter(service.provider, dayStart, dayEnd)
+  ).select('time_slot end_time');
+
+  // 4. Work out the free slots
+  const slots = availabilityUtils.getFreeSlots(availability, date, service.duration_minutes, bookings);
+
+  res.status(200).json({
+    status: 'success',
+    results: slots.length,
+    data: {
+      service_id: service._id,
+      date,
+      duration_minutes: service.duration_minutes,
+      slots
+    }
+  });
+});
+
 exports.createServiceRequest = catchAsync(async (req, res, next) => {
-  const { service_id, time_slot } = req.body;
+  const { service_id, time_slot, address_id } = req.body;
 
   // 1. Validate required fields
   if (!service_id || !time_slot) {
     return next(new AppError('Please provide service ID and time slot', 400));
   }
 
-  // 2. Validate time slot
-  const requestedTime = new Date(time_slot);
-  if (requestedTime < Date.now()) {
-    return next(new AppError('Time slot must be in the future', 400));
-  }
-
-  // 3. Check if service exists
+  // 2. Check if service exists
   const service = await Service.findById(service_id);
-  if (!service) {
+  if (!service || Service.HIDDEN_STATUSES.includes(service.status)) {
     return next(new AppError('Service not found', 404));
   }
 
-  // 4. Create service request
-  const newRequest = await ServiceRequest.create({
-    service: service_id,
-    customer: req.user.id,
-    time_slot: requestedTime,
-    status: 'pending'
-  });
+  // 3. Find where the service takes place: a saved address or the registered one
+  const user = await User.findById(req.user.id);
+  const bookingAddress = user.getBookingAddress(address_id);
+  if (!bookingAddress) {
+    return next(new AppError('Address not found', 404));
+  }
+  if (!bookingAddress.location?.coordinates?.length) {
+    return next(new AppError('Please choose one of your saved addresses for the booking', 400));
+  }
+
+  // 4. Check the provider travels to that address
+  if (service.service_area) {
+    const covered = await Service.exists({
+      _id: service._id,
+      ...serviceArea.coveringFilter(bookingAddress.location.coordinates)
+    });
+    if (!covered) {
+      return next(new AppError('This address is outside the service area of this provider', 400));
+    }
+  }
+
+  // 5. Check the slot is in the future and inside the provider's working hours
+  const requestedTime = new Date(time_slot);
+  const endTime = await booking.getBookingEnd(service, requestedTime);
+
+  // 6. Create service request once no other booking overlaps the slot
+  const newRequest = await booking.withFreeSlot(service, requestedTime, endTime, () =>
+    ServiceRequest.create({
+      service: service_id,
+      provider: service.provider,
+      customer: req.user.id,
+      time_slot: requestedTime,
+      end_time: endTime,
+      address: bookingAddress,
+      status: 'pending',
+      status_history: [{ to: 'pending', actor: req.user._id, actor_role: 'customer' }]
+    })
+  );
 
   res.status(201).json({
     status: 'success',
@@ -169,6 +493,166 @@ exports.createServiceRequest = catchAsync(async (req, res, next) => {
   });
 });
 
+// Address fields sent by the customer, validated like service locations
+const readAddressBody = ({ label, address, location_latitude, location_longitude }) => {
+  const data = {};
+  if (label !== undefined) data.label = label;
+  if (address !== undefined) data.address = address;
+
+  if (location_latitude !== undefined || location_longitude !== undefined) {
+    if (isNaN(parseFloat(location_latitude)) || isNaN(parseFloat(location_longitude))) {
+      throw new AppError('Invalid coordinates', 400);
+    }
+    data.location = {
+      type: 'Point',
+      coordinates: [parseFloat(location_longitude), parseFloat(location_latitude)]
+    };
+  }
+
+  return data;
+};
+
+exports.getAddresses = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: user.addresses.length,
+    data: user.addresses
+  });
+});
+
+exports.addAddress = catchAsync(async (req, res, next) => {
+  // 1. Validate the address
+  const data = readAddressBody(req.body);
+  if (!data.label || !data.address || !data.location) {
+    return next(new AppError('Please provide label, address, location_latitude and location_longitude', 400));
+  }
+
+  // 2. Add it to my address book (schema validates the rest)
+  const user = await User.findById(req.user.id);
+  user.addresses.push(data);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Address saved successfully',
+    data: user.addresses[user.addresses.length - 1]
+  });
+});
+
+exports.updateAddress = catchAsync(async (req, res, next) => {
+  // 1. Find the address in my address book
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.id);
+  if (!address) {
+    return next(new AppError('Address not found', 404));
+  }
+
+  // 2. Update the given fields
+  const data = readAddressBody(req.body);
+  if (Object.keys(data).length === 0) {
+    return next(new AppError('Please provide label, address or location to update', 400));
+  }
+  address.set(data);
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Address updated successfully',
+    data: address
+  });
+});
+
+exports.deleteAddress = catchAsync(async (req, res, next) => {
+  // 1. Find the address in my address book
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.id);
+  if (!address) {
+    return next(new AppError('Address not found', 404));
+  }
+
+  // 2. Remove it, bookings keep their own copy
+  address.deleteOne();
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Address deleted successfully'
+  });
+});
+
+exports.getMyServiceRequests = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter from query, limited to my requests
+  const filter = {
+    ...serviceRequestListing.buildFilter(req.query),
+    customer: req.user._id
+  };
+
+  // 2. Find requests page with service, provider, bill and payment details
+  const { total, data } = await serviceRequestListing.findPage(filter, 'service.provider', { skip, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    total,
+    page,
+    data: data.map(({ counterpart, ...request }) => ({ ...request, provider: counterpart }))
+  });
+});
+
+exports.cancelServiceRequest = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // 1. Find the service request
+  const serviceRequest = await ServiceRequest.findById(id).populate('service');
+  if (!serviceRequest) {
+    return next(new AppError('Service request not found', 404));
+  }
+
+  // 2. Verify ownership
+  if (serviceRequest.customer.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to cancel this request', 403));
+  }
+
+  // 3. Work out the late cancellation fee before the status changes
+  const fee = booking.getCancellationFee(serviceRequest, serviceRequest.service);
+
+  // 4. Update the request status
+  serviceRequest.transitionTo('cancelled_by_customer', { actor: req.user._id, role: 'customer', reason });
+  await serviceRequest.save();
+
+  // 5. Bill the fee if the cancellation was late
+  let feeBill;
+  if (fee > 0) {
+    ({ bill: feeBill } = await billing.createBill({
+      request: serviceRequest._id,
+      provider: serviceRequest.service.provider,
+      customer: serviceRequest.customer,
+      amount: fee,
+      type: 'cancellation_fee'
+    }));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: feeBill ? `Service request cancelled. A late cancellation fee of ${fee} applies.` : 'Service request cancelled',
+    cancellation_fee: fee,
+    bill_id: feeBill ? feeBill._id : undefined
+  });
+});
+
+const reschedule = rescheduleHandlers('customer');
+
+exports.proposeReschedule = reschedule.proposeReschedule;
+
+exports.acceptReschedule = reschedule.acceptReschedule;
+
+exports.declineReschedule = reschedule.declineReschedule;
+
 exports.submitReview = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const { rating, comment } = req.body;
@@ -184,11 +668,22 @@ exports.submitReview = catchAsync(async (req, res, next) => {
 
   // 2. Check service exists
   const service = await Service.findById(id);
-  if (!service) {
+  if (!service || service.status === 'taken_down') {
     return next(new AppError('Service not found', 404));
   }
 
-  // 3. Check for existing review
+  // 3. Check the customer has a completed booking of the service
+  const completedRequest = await ServiceRequest.findOne({
+    service: id,
+    customer: req.user.id,
+    status: 'completed'
+  }).sort({ time_slot: -1 });
+
+  if (!completedRequest) {
+    return next(new AppError('You can only review services you have booked and had completed', 403));
+  }
+
+  // 4. Check for existing review
   const existingReview = await Review.findOne({
     service: id,
     customer: req.user.id
@@ -198,10 +693,11 @@ exports.submitReview = catchAsync(async (req, res, next) => {
     return next(new AppError('You have already reviewed this service', 400));
   }
 
-  // 4. Create review
+  // 5. Create review
   await Review.create({
     service: id,
     customer: req.user.id,
+    request: completedRequest._id,
     rating,
     comment
   });
@@ -212,3 +708,92 @@ exports.submitReview = catchAsync(async (req, res, next) => {
   });
 });
 
+
+
+exports.updateReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { rating, comment } = req.body;
+
+  // 1. Validate input
+  if (!rating && !comment) {
+    return next(new AppError('Please provide a rating or comment to update', 400));
+  }
+
+  if (rating && (rating < 1 || rating > 5)) {
+    return next(new AppError('Rating must be between 1 and 5', 400));
+  }
+
+  // 2. Find my review of the service
+  const review = await Review.findOne({ service: id, customer: req.user.id });
+  if (!review) {
+    return next(new AppError('You have not reviewed this service', 404));
+  }
+
+  // 3. Check the review can still be edited
+  if (review.status === 'taken_down') {
+    return next(new AppError('This review has been taken down and cannot be edited', 400));
+  }
+
+  if (!review.isEditable()) {
+    return next(new AppError('Reviews can only be edited for a limited time after posting', 400));
+  }
+
+  // 4. Update review (saving recalculates the ratings)
+  if (rating) review.rating = rating;
+  if (comment) review.comment = comment;
+  review.updated_at = Date.now();
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review updated successfully'
+  });
+});
+
+exports.deleteReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Find my review of the service
+  const review = await Review.findOne({ service: id, customer: req.user.id });
+  if (!review) {
+    return next(new AppError('You have not reviewed this service', 404));
+  }
+
+  // 2. Delete review (deleting recalculates the ratings)
+  await review.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review deleted successfully'
+  });
+});
+
+exports.getServiceReviews = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Check service exists
+  const service = await Service.findById(id).select('rating status');
+  if (!service || service.status === 'taken_down') {
+    return next(new AppError('Service not found', 404));
+  }
+
+  // 2. Find published reviews page, newest first
+  const [reviews, total] = await Promise.all([
+    Review.find({ service: id, status: 'published' })
+      .populate({ path: 'customer', select: 'name' })
+      .sort({ created_at: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments({ service: id, status: 'published' })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    total,
+    page,
+    rating: service.rating,
+    data: reviews.map(formatReview)
+  });
+});
\ No newline at end of file
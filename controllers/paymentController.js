@@ -1,24 +1,79 @@
-const Razorpay = require('razorpay');
 const Payment = require('../models/Payment');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
-const Bill = require ('../models/bill');
-const Transfer = require ('../models/Transfer');
-const crypto = require('crypto');
-const ProviderBankDetail = require('../models/ProviderBankDetails');
+const Bill = require ('../models/Bill');
 const ServiceRequest = require('../models/ServiceRequest');
+const billing = require('../utils/billing');
+const razorpayWebhook = require('../utils/razorpayWebhook');
+const paymentConfig = require('../config/payment');
+const paymentGateway = require('../utils/paymentGateway');
 
 
-// Initialize Razorpay client
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_SECRET
+
+
+// Create the gateway order a customer pays a bill through
+exports.createOrder = catchAsync(async (req, res, next) => {
+  const { id } = req.params; // bill id
+
+  // 1. Validate bill and ownership
+  const bill = await Bill.findById(id).populate('request');
+  if (!bill || !bill.request || bill.request.customer.toString() !== req.user.id) {
+    return next(new AppError('Bill not found', 404));
+  }
+  if (bill.status !== 'unpaid') {
+    return next(new AppError(`Bill is already ${bill.status.replace('_', ' ')}`, 400));
+  }
+
+  // 2. Find the payment entry created with the bill
+  const payment = await Payment.findOne({ bill: bill._id });
+  if (!payment) {
+    return next(new AppError('No payment entry found for the bill', 400));
+  }
+
+  // 3. Reuse the order already created for the bill, unless it has been paid
+  let order;
+  if (payment.razorpay_order_id) {
+    order = await paymentGateway.fetchOrder(payment.razorpay_order_id);
+    if (order.status === 'paid') {
+      return next(new AppError('Bill payment is being processed', 409));
+    }
+  }
+
+  // 4. Create an order for the bill amount, tagged with the bill
+  if (!order) {
+    order = await paymentGateway.createOrder({
+      amount: Math.round(payment.amount), // in whole paise, as the payment is checked against
+      currency: 'INR',
+      receipt: `bill_${bill._id}`,
+      notes: {
+        bill_id: bill._id.toString(),
+        payment_id: payment._id.toString(),
+        request_id: bill.request._id.toString()
+      }
+    });
+
+    payment.razorpay_order_id = order.id;
+    payment.updatedAt = Date.now();
+    await payment.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Order ready for checkout',
+    data: {
+      bill_id: bill._id,
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      key_id: paymentGateway.keyId
+    }
+  });
 });
 
 
 // Process payment from customer to provider
 exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
-  const { id } = req.params; // bill id
+  const { id } = req.params; // service request id
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
   if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
@@ -31,69 +86,66 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid service request or unauthorized access', 403));
   }
 
+  // Find the payment the order was created for
+  const existingPayment = await Payment.findOne({ razorpay_order_id });
+  if (!existingPayment) {
+    return next(new AppError('Order not found. Create an order for the bill first', 400));
+  }
+
   // Validate bill
-  const bill = await Bill.findOne({ request: id });
+  const bill = await Bill.findOne({ _id: existingPayment.bill, request: id });
   if (!bill) {
-    return next(new AppError('Bill not found', 400));
+    return next(new AppError('Order does not belong to this service request', 400));
   }
-  if (bill.status === 'paid') {
+  if (bill.status !== 'unpaid') {
     return next(new AppError('Bill already paid', 400));
   }
 
   // Prevent duplicate payment
-  const existingPayment = await Payment.findOne({ bill: bill._id });
-  if (existingPayment && existingPayment.status === 'captured') {
+  if (existingPayment.status === 'captured') {
     return next(new AppError('Duplicate payment detected. Payment already captured.', 400));
   }
 
-  if (existingPayment && existingPayment.status !== 'created') {
+  if (!['created', 'failed'].includes(existingPayment.status)) {
     return next(new AppError('Invalid transfer status', 400));
   }
 
-  // Verify payment with Razorpay
-  const generatedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_SECRET)
-    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-    .digest('hex');
+  // Verify the checkout signature against the stored order
+  const validSignature = paymentGateway.verifyPaymentSignature({
+    orderId: existingPayment.razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    signature: razorpay_signature
+  });
 
-  if (generatedSignature !== razorpay_signature) {
+  if (!validSignature) {
     return next(new AppError('Invalid payment signature', 400));
   }
 
-  const order = await razorpay.orders.fetch(razorpay_order_id);
-  if (order.amount !== bill.amount * 100) {
+  // Check the payment went through on the stored order for the stored amount
+  const gatewayPayment = await paymentGateway.fetchPayment(razorpay_payment_id);
+  if (gatewayPayment.order_id !== existingPayment.razorpay_order_id) {
+    return next(new AppError('Payment does not belong to the order', 400));
+  }
+  if (gatewayPayment.amount !== Math.round(existingPayment.amount)) {
     return next(new AppError('Payment amount mismatch', 400));
   }
-
-  // Update existing payment entry status to 'captured'
-  const payment = await Payment.findOneAndUpdate(
-    { bill: bill._id },
-    {
-      razorpay_order_id,
-      razorpay_payment_id,
-      payment_method: order.method,
-      status: 'captured'
-    },
-    { new: true }
-  );
-
-  if (!payment) {
-    return next(new AppError('No payment entry found for the bill', 400));
+  if (!['authorized', 'captured'].includes(gatewayPayment.status)) {
+    return next(new AppError(`Payment is ${gatewayPayment.status}`, 400));
   }
 
-  // Update bill status to 'paid'
-  bill.status = 'paid';
-  await bill.save();
-
-  // Initiate transfer to provider using Razorpay
-  const transferAmount = payment.amount - payment.platform_fee;
-  const transfer = await Transfer.create({
-    payment: payment._id,
-    provider: serviceRequest.service.provider,
-    amount: transferAmount,
-    status: 'created',
-    transfer_mode: 'pending'
+  // Capture the payment, mark the bill paid and create the provider's transfer
+  const result = await billing.capturePayment(existingPayment, {
+    orderId: existingPayment.razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    method: gatewayPayment.method
   });
 
+  // The webhook may have captured it in the meantime
+  if (!result) {
+    return next(new AppError('Duplicate payment detected. Payment already captured.', 400));
+  }
+  const { payment, transfer } = result;
+
   res.status(200).json({
     status: 'success',
     message: 'Payment processed and transfer initiated',
@@ -103,93 +155,62 @@ exports.processPaymentFromCustomerToMe = catchAsync(async (req, res, next) => {
 });
 
 
-// Process payment from me to customer
-exports.processPaymentFromMeToProvider = catchAsync(async (req, res, next) => {
-  const { transferId } = req.params;
-
-  // 1. Validate transfer entry
-  const transfer = await Transfer.findById(transferId).populate('provider payment');
-  if (!transfer) {
-    return next(new AppError('Transfer not found', 404));
-  }
-
-  if (transfer.status === 'captured') {
-    return next(new AppError('Duplicate transfer detected. Transfer already captured.', 400));
+// Razorpay webhook: payment, refund and payout events
+exports.handleWebhook = catchAsync(async (req, res, next) => {
+  // 1. Verify the signature over the raw body
+  if (!paymentConfig.webhookSecret) {
+    return next(new AppError('Webhook secret is not configured', 500));
   }
-  
-  if (transfer.status !== 'created') {
-    return next(new AppError('Invalid transfer status', 400));
+  const signature = req.get('X-Razorpay-Signature');
+  if (!razorpayWebhook.verifySignature(req.rawBody, signature, paymentConfig.webhookSecret)) {
+    return next(new AppError('Invalid webhook signature', 400));
   }
 
-  // 2. Validate provider bank details
-  const providerBankDetails = await ProviderBankDetail.findOne({ provider: transfer.provider._id });
-  if (!providerBankDetails || providerBankDetails.verification_status !== 'verified') {
-    return next(new AppError('Provider bank details not verified or missing', 400));
+  const eventId = req.get('X-Razorpay-Event-Id');
+  if (!eventId || !req.body || !req.body.event) {
+    return next(new AppError('Missing webhook event id or type', 400));
   }
 
-  // 3. Perform Razorpay fund transfer
-  const fundTransfer = await razorpay.transfers.create({
-    account_number: process.env.RAZORPAY_ACCOUNT_NUMBER,
-    amount: transfer.amount,
-    currency: 'INR',
-    mode: transfer.transfer_mode,
-    purpose: 'payout',
-    fund_account_id: providerBankDetails.razorpay_fund_id,
-    notes: {
-      payment_id: transfer.payment._id.toString(),
-      provider_id: transfer.provider._id.toString()
-    }
-  });
-
-  // 4. Update transfer status
-  transfer.status = 'captured';
-  await transfer.save();
+  // 2. Store and apply the event once; errors make Razorpay retry it
+  const { event, duplicate } = await razorpayWebhook.processEvent(eventId, req.body);
 
   res.status(200).json({
     status: 'success',
-    message: 'Payment successfully transferred to provider',
-    fundTransfer
+    message: duplicate ? 'Event already received' : `Event ${event.status}`
   });
 });
 
 
-// testing
-exports.createOrder = catchAsync(async(req, res, next) => {
-  const razorpay = new Razorpay({
-      key_id: "rzp_test_V3eLJGsq0GMluZ",
-      key_secret: "0OT7aG5vG6bvT60WmtBoEY5G"
-  })
+// Mock gateway only: complete the checkout of an order like the Razorpay checkout would
+exports.payMockOrder = catchAsync(async (req, res, next) => {
+  const { orderId } = req.params;
 
-  const options = {
-      amount: req.body.amount,
-      currency: req.body.currency,
-      receipt: "receipt#1",
-      payment_capture: 1
+  // 1. The order must be for one of my bills
+  const payment = await Payment.findOne({ razorpay_order_id: orderId, customer: req.user._id });
+  if (!payment) {
+    return next(new AppError('Order not found', 404));
   }
 
-  try {
-      const response = await razorpay.orders.create(options)
+  // 2. Pay it, or fail it with ?fail=true
+  const checkout = await paymentGateway.pay(orderId, {
+    method: req.body.method,
+    fail: req.query.fail === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Mock checkout completed',
+    data: checkout
+  });
+});
 
-      res.json({
-          order_id: response.id,
-          currency: response.currency,
-          amount: response.amount
-      })
-  } catch (error) {
-      res.status(500).send("Internal server error")
-  }
-})
 
+// testing
 exports.getPaymentDetails = catchAsync(async(req, res) => {
   const {paymentId} = req.params;
 
-  const razorpay = new Razorpay({
-      key_id: "rzp_test_GcZZFDPP0jHtC4",
-      key_secret: "6JdtQv2u7oUw7EWziYeyoewJ"
-  })
-  
   try {
-      const payment = await razorpay.payments.fetch(paymentId)
+      const payment = await paymentGateway.fetchPayment(paymentId)
 
       if (!payment){
           return res.status(500).json("Error at razorpay loading")
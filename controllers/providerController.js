@@ -2,20 +2,25 @@ const Service = require('../models/Service');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const ServiceRequest = require('../models/ServiceRequest');
-const Bill = require('../models/bill');
+const Bill = require('../models/Bill');
 const ProviderBankDetail = require('../models/ProviderBankDetails');
-const Razorpay = require('razorpay');
-const Payment = require('../models/Payment');
+const Availability = require('../models/Availability');
+const Category = require('../models/Category');
+const serviceRequestListing = require('../utils/serviceRequestListing');
+const rescheduleHandlers = require('../utils/rescheduleHandlers');
+const getPagination = require('../utils/pagination');
+const billing = require('../utils/billing');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const images = require('../utils/images');
+const serviceImport = require('../utils/serviceImport');
+const { validateServiceFields } = require('../utils/serviceValidation');
+const serviceArea = require('../utils/serviceArea');
+const paymentGateway = require('../utils/paymentGateway');
+const logger = require('../utils/logger');
+const { images: imageConfig } = require('../config/storage');
 
 
-// Allowed categories for services
-const allowedCategories = ['BeautyAndSaloon', 'HouseKeeping', 'Tutor', 'Electrician', 'Carpenter', 'Plumber'];
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_SECRET
-});
-
 
 exports.createService = catchAsync(async (req, res, next) => {
   const {
@@ -25,52 +30,52 @@ exports.createService = catchAsync(async (req, res, next) => {
     location_latitude,
     location_longitude,
     address,
-    parent_service
+    parent_service,
+    category,
+    duration_minutes
   } = req.body;
 
-  // Validate required fields
-  if (!name || !price || !location_latitude || !location_longitude || !address) {
-    return next(new AppError('Please provide all required fields', 400));
-  }
-
-  // Validate service name for parent service only
-  if (!parent_service && !allowedCategories.includes(name)) {
-    return next(new AppError(`Invalid service name. Allowed parent services are: ${allowedCategories.join(', ')}`, 400));
-  }
-
-  // Validate coordinates
-  if (isNaN(location_latitude) || isNaN(location_longitude)) {
-    return next(new AppError('Invalid coordinates', 400));
-  }
-
-  // Validate price
-  if (price <= 0) {
-    return next(new AppError('Price must be greater than 0', 400));
+  // Validate fields
+  const [fieldError] = validateServiceFields(req.body, { isChild: Boolean(parent_service) });
+  if (fieldError) {
+    return next(new AppError(fieldError, 400));
   }
 
-  // Check parent service exists if provided
+  // Check parent service exists if provided, child services share its category
+  let serviceCategory;
   if (parent_service) {
     const parentService = await Service.findById(parent_service);
     if (!parentService) {
       return next(new AppError('Parent service not found', 404));
     }
+    serviceCategory = parentService.category;
+  } else {
+    const categoryDoc = await Category.resolve(category);
+    if (!categoryDoc) {
+      return next(new AppError('Invalid category. Please choose one of the active categories', 400));
+    }
+    serviceCategory = categoryDoc._id;
   }
 
-  // Create new service
+  // Create new service, covering the provider's service area
+  const location = {
+    type: 'Point',
+    coordinates: [
+      parseFloat(location_longitude),
+      parseFloat(location_latitude)
+    ]
+  };
   const newService = await Service.create({
     name,
     description,
     price,
     provider: req.user.id,
-    location: {
-      type: 'Point',
-      coordinates: [
-        parseFloat(location_longitude),
-        parseFloat(location_latitude)
-      ]
-    },
+    location,
+    service_area: serviceArea.areaFor(location, req.user.provider_profile),
     address,
-    parent_service
+    parent_service,
+    category: serviceCategory,
+    duration_minutes
   });
 
   res.status(201).json({
@@ -80,6 +85,69 @@ exports.createService = catchAsync(async (req, res, next) => {
   });
 });
 
+exports.importServices = catchAsync(async (req, res, next) => {
+  const dryRun = req.query.dry_run === 'true';
+
+  // 1. Read the uploaded file
+  if (!req.file) {
+    return next(new AppError('Please upload a CSV file in the "file" field', 400));
+  }
+  const rows = serviceImport.readRows(req.file.buffer.toString('utf8'));
+
+  // 2. Validate every row
+  const plan = await serviceImport.planImport(req.user.id, rows);
+  const report = serviceImport.toReport(plan);
+  const invalidRows = report.filter(row => row.errors.length).length;
+
+  // 3. Nothing is saved on a dry run or when any row is invalid
+  if (invalidRows && !dryRun) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `${invalidRows} of ${report.length} rows have errors. Nothing was imported.`,
+      data: { rows: report }
+    });
+  }
+
+  if (dryRun) {
+    return res.status(200).json({
+      status: 'success',
+      message: invalidRows
+        ? `${invalidRows} of ${report.length} rows have errors`
+        : `All ${report.length} rows are valid`,
+      valid: !invalidRows,
+      data: { rows: report }
+    });
+  }
+
+  // 4. Create and update the services
+  const { created, updated } = await serviceImport.applyImport(req.user, plan);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Imported ${report.length} services`,
+    created,
+    updated
+  });
+});
+
+exports.exportServices = catchAsync(async (req, res, next) => {
+  // 1. Find my services, archived ones only on request
+  const services = await Service.find({
+    provider: req.user._id,
+    status: req.query.include_archived === 'true' ? { $ne: 'taken_down' } : 'active'
+  })
+    .populate({ path: 'category', select: 'slug' })
+    .sort({ createdAt: 1 });
+
+  // 2. Send them in the import format
+  res.status(200)
+    .set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="services.csv"'
+    })
+    .send(serviceImport.toCsv(services));
+});
+
 exports.updateService = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const {
@@ -89,7 +157,9 @@ exports.updateService = catchAsync(async (req, res, next) => {
     location_latitude,
     location_longitude,
     address,
-    parent_service
+    parent_service,
+    category,
+    duration_minutes
   } = req.body;
 
   // 1. Find the service
@@ -103,11 +173,6 @@ exports.updateService = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to update this service', 403));
   }
 
-  // Validate service name for parent service only
-  if (!parent_service && !allowedCategories.includes(name)) {
-    return next(new AppError(`Invalid service name. Allowed parent services are: ${allowedCategories.join(', ')}`, 400));
-  }
-
   // 3. Prepare update data
   const updateData = {};
   if (name) updateData.name = name;
@@ -117,6 +182,10 @@ exports.updateService = catchAsync(async (req, res, next) => {
     updateData.price = price;
   }
   if (address) updateData.address = address;
+  if (duration_minutes) {
+    if (!(Number(duration_minutes) >= 5)) return next(new AppError('Duration must be at least 5 minutes', 400));
+    updateData.duration_minutes = duration_minutes;
+  }
 
   // 4. Handle location update
   if (location_latitude && location_longitude) {
@@ -130,13 +199,27 @@ exports.updateService = catchAsync(async (req, res, next) => {
         parseFloat(location_latitude)
       ]
     };
+
+    // A travel radius is measured from the service location
+    const area = serviceArea.areaFor(updateData.location, req.user.provider_profile);
+    if (area) updateData.service_area = area;
   }
 
-  // 5. Handle parent service
+  // 5. Handle parent service, child services share its category
   if (parent_service) {
     const parentService = await Service.findById(parent_service);
     if (!parentService) return next(new AppError('Parent service not found', 404));
     updateData.parent_service = parent_service;
+    updateData.category = parentService.category;
+  } else if (category) {
+    if (service.parent_service) {
+      return next(new AppError('Child services take the category of their parent service', 400));
+    }
+    const categoryDoc = await Category.resolve(category);
+    if (!categoryDoc) {
+      return next(new AppError('Invalid category. Please choose one of the active categories', 400));
+    }
+    updateData.category = categoryDoc._id;
   }
 
   // 6. Perform update
@@ -145,6 +228,11 @@ exports.updateService = catchAsync(async (req, res, next) => {
     runValidators: true
   });
 
+  // 7. Keep child services in the same category
+  if (updateData.category) {
+    await Service.updateMany({ parent_service: id }, { category: updateData.category });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Service updated successfully',
@@ -156,6 +244,7 @@ exports.updateService = catchAsync(async (req, res, next) => {
 
 exports.deleteService = catchAsync(async (req, res, next) => {
   const { id } = req.params;
+  const cancelBookings = req.query.cancel_bookings === 'true';
 
   // 1. Find the service
   const service = await Service.findById(id);
@@ -168,53 +257,203 @@ exports.deleteService = catchAsync(async (req, res, next) => {
     return next(new AppError('Not authorized to delete this service', 403));
   }
 
-  // 3. Delete the service
-  await Service.findByIdAndDelete(id);
+  // Archived services are already gone for customers, taken down ones are the admin's
+  if (Service.HIDDEN_STATUSES.includes(service.status)) {
+    return next(new AppError(`Service is already ${service.status.replace('_', ' ')}`, 400));
+  }
+
+  // 3. Collect the service and its child services
+  const services = await Service.findWithDescendants(id);
+  const serviceIds = services.map(s => s._id);
+
+  // 4. Check open bookings: work in progress blocks deletion, others are only
+  // cancelled when the provider asks for it
+  const openRequests = await ServiceRequest.find({
+    service: { $in: serviceIds },
+    status: { $in: ['pending', 'accepted', 'in_progress'] }
+  });
+
+  if (openRequests.some(request => request.status === 'in_progress')) {
+    return next(new AppError('Service has bookings in progress. Complete them before deleting the service.', 409));
+  }
+  if (openRequests.length && !cancelBookings) {
+    return next(new AppError(
+      `Service has ${openRequests.length} open bookings. Cancel them first or delete with cancel_bookings=true.`,
+      409
+    ));
+  }
+
+  // 5. Check unpaid bills
+  const requestIds = await ServiceRequest.find({ service: { $in: serviceIds } }).distinct('_id');
+  if (await Bill.exists({ request: { $in: requestIds }, status: 'unpaid' })) {
+    return next(new AppError('Service has unpaid bills. They have to be settled before deleting the service.', 409));
+  }
+
+  // 6. Cancel open bookings
+  for (const serviceRequest of openRequests) {
+    serviceRequest.transitionTo('cancelled_by_provider', {
+      actor: req.user._id,
+      role: 'provider',
+      reason: 'Service removed by the provider'
+    });
+    await serviceRequest.save();
+  }
+
+  // 7. Archive services with booking or review history, delete the rest with their image files
+  const hasHistory = requestIds.length > 0 || await Review.exists({ service: { $in: serviceIds } });
+
+  if (hasHistory) {
+    await Service.updateMany(
+      { _id: { $in: serviceIds }, status: 'active' },
+      { status: 'archived', archived_at: Date.now() }
+    );
+  } else {
+    await Service.deleteMany({ _id: { $in: serviceIds } });
+    await Promise.all(services.flatMap(s => s.images || []).map(images.removeImage));
+  }
 
   res.status(200).json({
     status: 'success',
-    message: 'Service deleted successfully'
+    message: hasHistory
+      ? 'Service archived. It is hidden from customers but its booking history is kept.'
+      : 'Service deleted successfully',
+    archived: Boolean(hasHistory),
+    cancelled_bookings: openRequests.length
   });
 });
 
-exports.acceptRequest = catchAsync(async (req, res, next) => {
+exports.restoreService = catchAsync(async (req, res, next) => {
   const { id } = req.params;
 
-  // 1. Find the service request and populate service details
-  const serviceRequest = await ServiceRequest.findById(id)
-    .populate({
-      path: 'service',
-      select: 'provider'
-    });
-
-  if (!serviceRequest) {
-    return next(new AppError('Service request not found', 404));
+  // 1. Find the service
+  const service = await Service.findById(id);
+  if (!service) {
+    return next(new AppError('Service not found', 404));
   }
 
   // 2. Verify ownership
-  if (serviceRequest.service.provider.toString() !== req.user.id) {
-    return next(new AppError('Not authorized to accept this request', 403));
+  if (service.provider.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to restore this service', 403));
   }
 
-  // 3. Check if request is already accepted/completed
-  if (serviceRequest.status !== 'pending') {
-    return next(new AppError(`Request is already ${serviceRequest.status}`, 400));
+  if (service.status !== 'archived') {
+    return next(new AppError(`Only archived services can be restored, this one is ${service.status}`, 400));
   }
 
-  // 4. Update the request status
-  serviceRequest.status = 'accepted';
-  await serviceRequest.save();
+  // 3. A child service needs its parent to be active
+  if (service.parent_service) {
+    const parentService = await Service.findById(service.parent_service);
+    if (!parentService || parentService.status !== 'active') {
+      return next(new AppError('Restore the parent service first', 400));
+    }
+  }
+
+  // 4. Restore the service and its archived child services
+  const serviceIds = (await Service.findWithDescendants(id)).map(s => s._id);
+  await Service.updateMany(
+    { _id: { $in: serviceIds }, status: 'archived' },
+    { status: 'active', $unset: { archived_at: 1 } }
+  );
 
   res.status(200).json({
     status: 'success',
-    message: 'Service request accepted'
+    message: 'Service restored successfully'
   });
 });
 
-exports.rejectRequest = catchAsync(async (req, res, next) => {
+exports.getMyServices = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  // 1. Find my services, all of them unless filtered by status
+  const filter = { provider: req.user._id };
+  if (status) {
+    if (!Service.schema.path('status').enumValues.includes(status)) {
+      return next(new AppError('Invalid status parameter', 400));
+    }
+    filter.status = status;
+  }
+
+  const services = await Service.find(filter)
+    .populate({ path: 'category', select: 'slug name' })
+    .sort({ createdAt: 1 });
+
+  // 2. Count open bookings per service
+  const openCounts = await ServiceRequest.aggregate([
+    {
+      $match: {
+        service: { $in: services.map(service => service._id) },
+        status: { $in: ['pending', 'accepted', 'in_progress'] }
+      }
+    },
+    { $group: { _id: '$service', count: { $sum: 1 } } }
+  ]);
+  const openCountById = new Map(openCounts.map(c => [c._id.toString(), c.count]));
+
+  // 3. Build the tree of parent and child services
+  const nodes = new Map(services.map(service => [service._id.toString(), {
+    service_id: service._id,
+    name: service.name,
+    description: service.description,
+    price: service.price,
+    duration_minutes: service.duration_minutes,
+    category: service.category ? service.category.slug : null,
+    status: service.status,
+    images: service.images.length,
+    rating: service.rating,
+    open_requests: openCountById.get(service._id.toString()) || 0,
+    child_services: []
+  }]));
+
+  const roots = [];
+  services.forEach(service => {
+    const node = nodes.get(service._id.toString());
+    const parent = service.parent_service && nodes.get(service.parent_service.toString());
+    if (parent) {
+      parent.child_services.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: services.length,
+    data: roots
+  });
+});
+
+
+exports.getIncomingRequests = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  // 1. Build filter from query, limited to requests for my services
+  const filter = serviceRequestListing.buildFilter(req.query);
+  const myServiceIds = await Service.find({ provider: req.user.id }).distinct('_id');
+
+  if (filter.service && !myServiceIds.some(serviceId => serviceId.equals(filter.service))) {
+    return next(new AppError('Not authorized to view requests for this service', 403));
+  }
+  if (!filter.service) filter.service = { $in: myServiceIds };
+
+  // 2. Find requests page with service, customer, bill and payment details
+  const { total, data } = await serviceRequestListing.findPage(filter, 'customer', { skip, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    total,
+    page,
+    data: data.map(({ counterpart, ...request }) => ({ ...request, customer: counterpart }))
+  });
+});
+
+// Handler moving a request for one of the provider's services to a new status.
+// The booking state machine decides whether the change is allowed.
+const changeRequestStatus = (status, message) => catchAsync(async (req, res, next) => {
   const { id } = req.params;
+  const { reason } = req.body;
 
-  // 1. Find the service request with service provider details
+  // 1. Find the service request and populate service details
   const serviceRequest = await ServiceRequest.findById(id)
     .populate({
       path: 'service',
@@ -225,26 +464,45 @@ exports.rejectRequest = catchAsync(async (req, res, next) => {
     return next(new AppError('Service request not found', 404));
   }
 
-  // 2. Verify provider ownership
+  // 2. Verify ownership
   if (serviceRequest.service.provider.toString() !== req.user.id) {
-    return next(new AppError('Not authorized to reject this request', 403));
+    return next(new AppError('Not authorized to update this request', 403));
   }
 
-  // 3. Validate request status
-  if (serviceRequest.status !== 'pending') {
-    return next(new AppError(`Cannot reject ${serviceRequest.status} request`, 400));
-  }
-
-  // 4. Update request status
-  serviceRequest.status = 'rejected';
+  // 3. Update the request status
+  serviceRequest.transitionTo(status, { actor: req.user._id, role: 'provider', reason });
   await serviceRequest.save();
 
   res.status(200).json({
     status: 'success',
-    message: 'Service request rejected'
+    message,
+    data: {
+      request_id: serviceRequest._id,
+      status: serviceRequest.status
+    }
   });
 });
 
+exports.acceptRequest = changeRequestStatus('accepted', 'Service request accepted');
+
+exports.rejectRequest = changeRequestStatus('rejected', 'Service request rejected');
+
+exports.startRequest = changeRequestStatus('in_progress', 'Service request started');
+
+exports.completeRequest = changeRequestStatus('completed', 'Service request completed');
+
+exports.cancelRequest = changeRequestStatus('cancelled_by_provider', 'Service request cancelled');
+
+exports.markNoShow = changeRequestStatus('no_show', 'Customer marked as no-show');
+
+const reschedule = rescheduleHandlers('provider');
+
+exports.proposeReschedule = reschedule.proposeReschedule;
+
+exports.acceptReschedule = reschedule.acceptReschedule;
+
+exports.declineReschedule = reschedule.declineReschedule;
+
 exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
   const { account_holder, account_number, ifsc } = req.body;
 
@@ -259,28 +517,35 @@ exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
     return next(new AppError('Bank details already exist for this provider', 400));
   }
 
-  console.log('Razorpay Contact:', razorpay);
   try {
-    // Create Razorpay contact
-    const contact = await razorpay.contact.create({
+    // Create payout contact
+    const contact = await paymentGateway.createContact({
       name: account_holder,
-      type: 'vendor',
       email: req.user.email,
-      contact: req.user.phone
+      phone: req.user.phone_number,
+      referenceId: req.user.id
     });
 
-
-    // Create Razorpay fund account
-    const fundAccount =  razorpay.fundAccount.create({
-      contact_id: contact.id,
-      account_type: 'bank_account',
-      bank_account: {
-        name: account_holder,
-        ifsc: ifsc.toUpperCase(),
-        account_number
-      }
+    // Create fund account
+    const fundAccount = await paymentGateway.createFundAccount({
+      contactId: contact.id,
+      name: account_holder,
+      ifsc: ifsc.toUpperCase(),
+      accountNumber: account_number
     });
 
+    // Check the account exists; validations still running complete through the
+    // webhook, and an admin can verify the account when the check is not possible
+    let validation;
+    try {
+      validation = await paymentGateway.validateFundAccount({
+        fundAccountId: fundAccount.id,
+        notes: { provider_id: req.user.id }
+      });
+    } catch (error) {
+      logger.warn(`Bank account validation for provider ${req.user.id} failed: ${(error.error && error.error.description) || error.message}`);
+    }
+
     // Create new bank details record with Razorpay IDs
     const bankDetails = await ProviderBankDetail.create({
       provider: req.user.id,
@@ -288,7 +553,9 @@ exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
       account_number,
       ifsc: ifsc.toUpperCase(),
       razorpay_contact_id: contact.id,
-      razorpay_fund_id: fundAccount.id
+      razorpay_fund_id: fundAccount.id,
+      razorpay_validation_id: validation && validation.id,
+      verification_status: ProviderBankDetail.statusFromValidation(validation)
     });
 
     res.status(201).json({
@@ -297,8 +564,8 @@ exports.addProviderBankDetails = catchAsync(async (req, res, next) => {
       data: { bankDetails }
     });
   } catch (error) {
-    console.error('Razorpay Error:', error);
-    return next(new AppError('Error while creating bank details with Razorpay', 500));
+    logger.error(error);
+    return next(new AppError('Error while creating bank details with the payment gateway', 500));
   }
 });
 
@@ -329,8 +596,8 @@ exports.generateBill = catchAsync(async (req, res, next) => {
   }
 
   // 4. Check request status
-  if (serviceRequest.status !== 'accepted') {
-    return next(new AppError('Bill can only be generated for accepted requests', 400));
+  if (!['accepted', 'in_progress', 'completed'].includes(serviceRequest.status)) {
+    return next(new AppError('Bill can only be generated for accepted, in progress or completed requests', 400));
   }
 
   // 5. Check if bill already exists
@@ -339,22 +606,12 @@ exports.generateBill = catchAsync(async (req, res, next) => {
     return next(new AppError('Bill already exists for this request', 400));
   }
 
-  // 6. Create new bill
-  const newBill = await Bill.create({
+  // 6. Create new bill and its entry in Payment table
+  const { bill: newBill, payment: newPayment } = await billing.createBill({
     request: id,
     provider: serviceRequest.service.provider,
-    amount,
-    status: 'unpaid'
-  });
-
-  // 7. Create an entry in Payment table
-  const newPayment = await Payment.create({
-    bill: newBill._id,
-    provider: serviceRequest.service.provider,
     customer: serviceRequest.customer,
-    amount: amount * 100, // Store in paise
-    status: 'created',
-    payment_method: 'pending' // Payment method not confirmed yet
+    amount
   });
 
   res.status(201).json({
@@ -365,3 +622,401 @@ exports.generateBill = catchAsync(async (req, res, next) => {
   });
 });
 
+
+
+exports.getAvailability = catchAsync(async (req, res, next) => {
+  const availability = await Availability.findOne({ provider: req.user.id });
+
+  if (!availability) {
+    return next(new AppError('You have not published your availability yet', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: availability
+  });
+});
+
+exports.setAvailability = catchAsync(async (req, res, next) => {
+  const { weekly_hours, utc_offset, slot_interval } = req.body;
+
+  // 1. Validate input
+  if (!Array.isArray(weekly_hours)) {
+    return next(new AppError('Please provide weekly_hours as a list of { day, start, end }', 400));
+  }
+
+  // 2. Create or replace the provider's working hours (schema validates each entry)
+  const availability = await Availability.findOneAndUpdate(
+    { provider: req.user.id },
+    {
+      weekly_hours,
+      ...(utc_offset !== undefined && { utc_offset }),
+      ...(slot_interval !== undefined && { slot_interval }),
+      updatedAt: Date.now()
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Availability updated successfully',
+    data: availability
+  });
+});
+
+exports.addBlackoutDate = catchAsync(async (req, res, next) => {
+  const { date, reason } = req.body;
+
+  // 1. Validate date
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    return next(new AppError('Please provide a valid date in YYYY-MM-DD format', 400));
+  }
+
+  // 2. Add the date unless it is already blacked out
+  const availability = await Availability.findOneAndUpdate(
+    { provider: req.user.id, 'blackout_dates.date': { $ne: date } },
+    { $push: { blackout_dates: { date, reason } }, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!availability) {
+    const exists = await Availability.exists({ provider: req.user.id });
+    return next(exists
+      ? new AppError('This date is already blacked out', 400)
+      : new AppError('Please publish your weekly hours first', 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Blackout date added successfully',
+    data: availability.blackout_dates
+  });
+});
+
+exports.removeBlackoutDate = catchAsync(async (req, res, next) => {
+  const { date } = req.params;
+
+  const availability = await Availability.findOneAndUpdate(
+    { provider: req.user.id, 'blackout_dates.date': date },
+    { $pull: { blackout_dates: { date } }, updatedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!availability) {
+    return next(new AppError('Blackout date not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Blackout date removed successfully',
+    data: availability.blackout_dates
+  });
+});
+
+exports.replyToReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { comment } = req.body;
+
+  // 1. Validate input
+  if (!comment) {
+    return next(new AppError('Please provide a reply comment', 400));
+  }
+
+  // 2. Find the review with its service
+  const review = await Review.findById(id).populate({ path: 'service', select: 'provider' });
+  if (!review || review.status === 'taken_down') {
+    return next(new AppError('Review not found', 404));
+  }
+
+  // 3. Verify ownership
+  if (!review.service || review.service.provider.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to reply to this review', 403));
+  }
+
+  // 4. Only one public reply per review
+  if (review.reply && review.reply.comment) {
+    return next(new AppError('You have already replied to this review', 400));
+  }
+
+  review.reply = { comment, created_at: Date.now() };
+  await review.save();
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Reply posted successfully'
+  });
+});
+
+// Fields of provider_profile a provider can edit
+const profileFields = ['bio', 'experience_years', 'languages', 'service_radius_km', 'service_area'];
+
+exports.getMyProfile = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      provider_id: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      phone_number: req.user.phone_number,
+      address: req.user.address,
+      profile: req.user.provider_profile || {},
+      rating: req.user.provider_rating || null
+    }
+  });
+});
+
+exports.updateMyProfile = catchAsync(async (req, res, next) => {
+  // 1. Pick the editable profile fields from the body
+  const updateData = {};
+  profileFields.forEach(field => {
+    if (req.body[field] !== undefined) updateData[`provider_profile.${field}`] = req.body[field];
+  });
+  if (req.body.name) updateData.name = req.body.name;
+
+  if (Object.keys(updateData).length === 0) {
+    return next(new AppError(`Please provide at least one of: name, ${profileFields.join(', ')}`, 400));
+  }
+
+  if (updateData['provider_profile.languages'] && !Array.isArray(updateData['provider_profile.languages'])) {
+    return next(new AppError('Languages must be a list', 400));
+  }
+  if (updateData['provider_profile.service_area']) {
+    const area = updateData['provider_profile.service_area'];
+    const areaError = serviceArea.validateArea(area) || await serviceArea.checkArea(area);
+    if (areaError) return next(new AppError(areaError, 400));
+  }
+
+  // 2. Update profile (schema validates each field)
+  const user = await User.findByIdAndUpdate(req.user.id, updateData, {
+    new: true,
+    runValidators: true
+  });
+
+  // 3. Services cover the new service area
+  if (req.body.service_area !== undefined || req.body.service_radius_km !== undefined) {
+    await serviceArea.syncProviderServices(user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile updated successfully',
+    data: {
+      profile: user.provider_profile
+    }
+  });
+});
+
+exports.getPublicProfile = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Find the provider
+  const provider = await User.findOne({ _id: id, role: 'provider', status: 'active' });
+  if (!provider) {
+    return next(new AppError('Provider not found', 404));
+  }
+
+  // 2. Find their services and completed jobs
+  const services = await Service.find({ provider: id, status: { $nin: Service.HIDDEN_STATUSES } })
+    .populate({ path: 'category', select: 'slug name' })
+    .select('name description price duration_minutes category parent_service rating')
+    .sort({ createdAt: 1 });
+
+  const completedJobs = await ServiceRequest.countDocuments({
+    service: { $in: services.map(service => service._id) },
+    status: 'completed'
+  });
+
+  // 3. Format response
+  const profile = provider.provider_profile || {};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      provider_id: provider._id,
+      name: provider.name,
+      bio: profile.bio,
+      experience_years: profile.experience_years,
+      languages: profile.languages || [],
+      service_radius_km: profile.service_radius_km,
+      service_area: profile.service_area || null,
+      profile_photo: profile.profile_photo ? {
+        url: profile.profile_photo.url,
+        thumbnail_url: profile.profile_photo.thumbnail_url
+      } : null,
+      portfolio: (profile.portfolio || []).map(image => ({
+        image_id: image._id,
+        url: image.url,
+        thumbnail_url: image.thumbnail_url
+      })),
+      verified: provider.is_verified,
+      rating: provider.provider_rating || null,
+      completed_jobs: completedJobs,
+      services: services.map(service => ({
+        service_id: service._id,
+        name: service.name,
+        description: service.description,
+        price: service.price,
+        duration_minutes: service.duration_minutes,
+        category: service.category ? service.category.slug : null,
+        parent_service: service.parent_service || null,
+        rating: service.rating
+      }))
+    }
+  });
+});
+
+exports.uploadServiceImages = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // 1. Validate upload
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one image in the images field', 400));
+  }
+
+  // 2. Find the service
+  const service = await Service.findById(id);
+  if (!service) {
+    return next(new AppError('Service not found', 404));
+  }
+
+  // 3. Verify ownership
+  if (service.provider.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to update this service', 403));
+  }
+
+  if (service.images.length + req.files.length > imageConfig.maxPerService) {
+    return next(new AppError(`A service can have at most ${imageConfig.maxPerService} images`, 400));
+  }
+
+  // 4. Resize, generate thumbnails and store the images
+  const saved = [];
+  try {
+    for (const file of req.files) {
+      saved.push(await images.saveImage(file, `services/${service._id}`));
+    }
+
+    service.images.push(...saved);
+    await service.save();
+  } catch (err) {
+    await Promise.all(saved.map(images.removeImage));
+    throw err;
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Images uploaded successfully',
+    data: {
+      images: service.images
+    }
+  });
+});
+
+exports.deleteServiceImage = catchAsync(async (req, res, next) => {
+  const { id, imageId } = req.params;
+
+  // 1. Find the service
+  const service = await Service.findById(id);
+  if (!service) {
+    return next(new AppError('Service not found', 404));
+  }
+
+  // 2. Verify ownership
+  if (service.provider.toString() !== req.user.id) {
+    return next(new AppError('Not authorized to update this service', 403));
+  }
+
+  // 3. Remove the image and its files
+  const image = service.images.id(imageId);
+  if (!image) {
+    return next(new AppError('Image not found', 404));
+  }
+
+  service.images.pull(imageId);
+  await service.save();
+  await images.removeImage(image);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Image deleted successfully'
+  });
+});
+
+exports.uploadProfilePhoto = catchAsync(async (req, res, next) => {
+  // 1. Validate upload
+  if (!req.file) {
+    return next(new AppError('Please upload an image in the photo field', 400));
+  }
+
+  // 2. Resize, generate thumbnail and store the photo
+  const photo = await images.saveImage(req.file, `providers/${req.user._id}`);
+
+  // 3. Replace the old photo
+  const oldPhoto = req.user.provider_profile && req.user.provider_profile.profile_photo;
+  await User.findByIdAndUpdate(req.user.id, { 'provider_profile.profile_photo': photo });
+  if (oldPhoto) await images.removeImage(oldPhoto);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile photo updated successfully',
+    data: {
+      url: photo.url,
+      thumbnail_url: photo.thumbnail_url
+    }
+  });
+});
+
+exports.uploadPortfolioImages = catchAsync(async (req, res, next) => {
+  // 1. Validate upload
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one image in the images field', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+  const portfolio = (user.provider_profile && user.provider_profile.portfolio) || [];
+  if (portfolio.length + req.files.length > imageConfig.maxPerPortfolio) {
+    return next(new AppError(`A portfolio can have at most ${imageConfig.maxPerPortfolio} images`, 400));
+  }
+
+  // 2. Resize, generate thumbnails and store the images
+  const saved = [];
+  try {
+    for (const file of req.files) {
+      saved.push(await images.saveImage(file, `providers/${user._id}/portfolio`));
+    }
+
+    if (!user.provider_profile) user.provider_profile = {};
+    user.provider_profile.portfolio.push(...saved);
+    await user.save({ validateBeforeSave: false });
+  } catch (err) {
+    await Promise.all(saved.map(images.removeImage));
+    throw err;
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Portfolio images uploaded successfully',
+    data: {
+      portfolio: user.provider_profile.portfolio
+    }
+  });
+});
+
+exports.deletePortfolioImage = catchAsync(async (req, res, next) => {
+  const { imageId } = req.params;
+
+  // 1. Find the image
+  const user = await User.findById(req.user.id);
+  const image = user.provider_profile && user.provider_profile.portfolio.id(imageId);
+  if (!image) {
+    return next(new AppError('Image not found', 404));
+  }
+
+  // 2. Remove the image and its files
+  user.provider_profile.portfolio.pull(imageId);
+  await user.save({ validateBeforeSave: false });
+  await images.removeImage(image);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Image deleted successfully'
+  });
+});
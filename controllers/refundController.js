@@ -0,0 +1,155 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const refunds = require('../utils/refunds');
+
+// Bill and payment the user can see refunds of: the bill's customer, provider or an admin
+const findBillPayment = async (billId, user) => {
+  const bill = await Bill.findById(billId);
+  const payment = bill && await Payment.findOne({ bill: bill._id });
+  if (!payment) {
+    throw new AppError('Bill not found', 404);
+  }
+
+  const isParty = user.role === 'admin' ||
+    (user.role === 'customer' && payment.customer.toString() === user.id) ||
+    (user.role === 'provider' && payment.provider.toString() === user.id);
+  if (!isParty) {
+    throw new AppError('Bill not found', 404);
+  }
+
+  return { bill, payment };
+};
+
+const formatRefund = refund => ({
+  refund_id: refund._id,
+  bill_id: refund.bill,
+  amount: refund.amount / 100, // paise to rupees
+  reason: refund.reason,
+  status: refund.status,
+  requested_by_role: refund.requested_by_role,
+  rejection_reason: refund.rejection_reason,
+  failure_reason: refund.failure_reason,
+  created_at: refund.createdAt,
+  processed_at: refund.processed_at
+});
+
+exports.createRefund = catchAsync(async (req, res, next) => {
+  const { id } = req.params; // bill id
+  const { amount, reason } = req.body;
+
+  // 1. Find bill and payment
+  const { bill, payment } = await findBillPayment(id, req.user);
+  if (!refunds.REFUNDABLE_STATUSES.includes(payment.status)) {
+    return next(new AppError('Only paid bills can be refunded', 400));
+  }
+
+  // 2. Validate amount, the whole refundable amount by default
+  const refundable = await refunds.refundableAmount(payment);
+  const refundAmount = amount === undefined ? refundable : Math.round(Number(amount) * 100);
+  if (!(refundAmount > 0)) {
+    return next(new AppError('Please provide a valid amount greater than 0', 400));
+  }
+  if (refundAmount > refundable) {
+    return next(new AppError(`At most ${refundable / 100} can be refunded on this bill`, 400));
+  }
+
+  // 3. Customers ask for a refund, the provider or an admin approves it
+  if (req.user.role === 'customer') {
+    if (!reason) {
+      return next(new AppError('Please provide a reason for the refund', 400));
+    }
+    if (await Refund.exists({ payment: payment._id, status: 'requested' })) {
+      return next(new AppError('You already have a refund request waiting on this bill', 400));
+    }
+  }
+
+  const refund = await Refund.create({
+    payment: payment._id,
+    bill: bill._id,
+    amount: refundAmount,
+    reason,
+    requested_by: req.user._id,
+    requested_by_role: req.user.role
+  });
+
+  if (req.user.role === 'customer') {
+    return res.status(201).json({
+      status: 'success',
+      message: 'Refund requested. The provider will review it.',
+      data: formatRefund(refund)
+    });
+  }
+
+  // 4. Providers and admins refund straight away
+  const sent = await refunds.sendRefund(refund, { actor: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: sent.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+    data: formatRefund(sent)
+  });
+});
+
+exports.getRefunds = catchAsync(async (req, res, next) => {
+  const { payment } = await findBillPayment(req.params.id, req.user);
+
+  const billRefunds = await Refund.find({ payment: payment._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: billRefunds.length,
+    refunded: payment.amount_refunded / 100,
+    data: billRefunds.map(formatRefund)
+  });
+});
+
+// Provider of the bill or an admin answers a customer's refund request
+const findRequestedRefund = async (refundId, user) => {
+  const refund = await Refund.findById(refundId);
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  await findBillPayment(refund.bill, user);
+
+  if (refund.status !== 'requested') {
+    throw new AppError(`Refund is already ${refund.status}`, 400);
+  }
+  return refund;
+};
+
+exports.approveRefund = catchAsync(async (req, res, next) => {
+  const refund = await findRequestedRefund(req.params.id, req.user);
+
+  const sent = await refunds.sendRefund(refund, { actor: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: sent.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+    data: formatRefund(sent)
+  });
+});
+
+exports.rejectRefund = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+  if (!reason) {
+    return next(new AppError('Please provide a reason for rejecting the refund', 400));
+  }
+
+  const refund = await findRequestedRefund(req.params.id, req.user);
+  refund.set({
+    status: 'rejected',
+    rejection_reason: reason,
+    reviewed_by: req.user._id,
+    reviewed_at: Date.now()
+  });
+  await refund.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Refund request rejected',
+    data: formatRefund(refund)
+  });
+});
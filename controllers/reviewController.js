@@ -0,0 +1,38 @@
+const Review = require('../models/Review');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+
+exports.reportReview = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  // 1. Validate input
+  if (!reason) {
+    return next(new AppError('Please provide a reason for the report', 400));
+  }
+
+  // 2. Find the review
+  const review = await Review.findById(id);
+  if (!review || review.status === 'taken_down') {
+    return next(new AppError('Review not found', 404));
+  }
+
+  // 3. One report per user, and not on your own review
+  if (review.customer.toString() === req.user.id) {
+    return next(new AppError('You cannot report your own review', 400));
+  }
+
+  if (review.reports.some(report => report.user.toString() === req.user.id)) {
+    return next(new AppError('You have already reported this review', 400));
+  }
+
+  // 4. Record the report, hiding the review for moderation if needed
+  review.addReport(req.user._id, reason);
+  await review.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Review reported. Our team will look into it.'
+  });
+});
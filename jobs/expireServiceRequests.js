@@ -0,0 +1,43 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const logger = require('../utils/logger');
+const bookingConfig = require('../config/booking');
+
+// Expire pending requests whose time slot started before the provider answered
+const expireStaleRequests = async () => {
+  const staleRequests = await ServiceRequest.find({
+    status: 'pending',
+    time_slot: { $lte: new Date() }
+  });
+
+  let expired = 0;
+  for (const serviceRequest of staleRequests) {
+    try {
+      serviceRequest.transitionTo('expired', {
+        role: 'system',
+        reason: 'Not accepted before the time slot'
+      });
+      await serviceRequest.save();
+      expired += 1;
+    } catch (err) {
+      // Most likely changed by the provider or customer in the meantime
+      logger.warn(`Could not expire service request ${serviceRequest._id}: ${err.message}`);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} stale service requests`);
+  }
+  return expired;
+};
+
+// Run the job on an interval for the lifetime of the process
+const start = () => {
+  const timer = setInterval(() => {
+    expireStaleRequests().catch(err => logger.error(`Service request expiry failed: ${err.message}`));
+  }, bookingConfig.expiryCheckInterval * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { expireStaleRequests, start };
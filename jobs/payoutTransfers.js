@@ -0,0 +1,51 @@
+const Transfer = require('../models/Transfer');
+const logger = require('../utils/logger');
+const payouts = require('../utils/payouts');
+const payoutConfig = require('../config/payout');
+
+// Pay providers their eligible transfers, one payout per provider
+const payoutTransfers = async () => {
+  // 1. Settle payouts left processing by an earlier run
+  await payouts.recoverStalled();
+
+  // 2. Pay the providers with money due
+  const { payable, unverified } = await payouts.findPayable();
+
+  if (unverified.length) {
+    logger.warn(`Payouts waiting on bank verification of providers ${unverified.map(p => p._id).join(', ')}`);
+  }
+
+  let paid = 0;
+  for (const { _id: providerId, transfers } of payable) {
+    try {
+      const amount = await payouts.payProvider(providerId, transfers);
+      if (amount > 0) paid += 1;
+    } catch (err) {
+      // Refused payouts are retried with backoff, unanswered ones by recoverStalled
+      logger.warn(`Payout to provider ${providerId} failed: ${err.message}`);
+    }
+  }
+
+  if (paid > 0) {
+    logger.info(`Paid out ${paid} providers`);
+  }
+  return paid;
+};
+
+// Transfers created before transfer_mode had a default were saved with 'pending'
+const fixLegacyTransferModes = () =>
+  Transfer.updateMany({ transfer_mode: 'pending' }, { transfer_mode: payoutConfig.mode.toLowerCase() });
+
+// Run the job on an interval for the lifetime of the process
+const start = () => {
+  fixLegacyTransferModes().catch(err => logger.error(`Transfer mode fix failed: ${err.message}`));
+
+  const timer = setInterval(() => {
+    payoutTransfers().catch(err => logger.error(`Provider payouts failed: ${err.message}`));
+  }, payoutConfig.checkInterval * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { payoutTransfers, start };
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AppError = require('../utils/appError');
 const jwtConfig = require('../config/jwt');
+const Session = require('../models/Session');
 const catchAsync = require('../utils/catchAsync'); // Import catchAsync
 
 exports.authenticate = catchAsync(async (req, res, next) => {
@@ -25,31 +26,44 @@ exports.authenticate = catchAsync(async (req, res, next) => {
     algorithms: [jwtConfig.options.algorithm]
   });
 
-  // 3. Check if user still exists
+  // 3. Check the session the token was issued for is still active
+  const session = decoded.sid && await Session.findOne({ _id: decoded.sid, user: decoded.id, active: true });
+  if (!session) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
+  // 4. Check if user still exists
   const currentUser = await User.findById(decoded.id);
   if (!currentUser) {
     return next(new AppError('The user belonging to this token no longer exists.', 401));
   }
 
+  // 5. Reject suspended accounts
+  if (currentUser.status === 'suspended') {
+    return next(new AppError('Your account has been suspended. Please contact support.', 403));
+  }
+
  
-  // 4. Grant access and attach user to request
+  // 6. Grant access and attach user and session to request
   req.user = currentUser;
+  req.currentSession = session;
   
   next();
 });
 
-exports.customerRoleAuthenticate=catchAsync(async (req,res,next)=>{
-    if(req.user&&req.user.role=="customer"){
+// Restrict a route to the given roles, e.g. authorize('customer') or authorize('provider', 'admin')
+exports.authorize=(...roles)=>catchAsync(async (req,res,next)=>{
+    if(req.user&&roles.includes(req.user.role)){
         next();
     }else{
-        next(new AppError('Not a valid user role to hit this API', 400))
+        next(new AppError('Not a valid user role to hit this API', 403))
     }
 })
 
-exports.providerRoleAuthenticate=catchAsync(async (req,res,next)=>{
-    if(req.user&&req.user.role=="provider"){
+exports.requireVerified=catchAsync(async (req,res,next)=>{
+    if(req.user&&req.user.email_verified&&req.user.phone_verified){
         next();
     }else{
-        next(new AppError('Not a valid user role to hit this API', 400))
+        next(new AppError('Please verify your email and phone number to access this API', 403))
     }
 })
\ No newline at end of file
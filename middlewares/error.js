@@ -23,6 +23,12 @@ const handleValidationErrorDB = err => {
   return new AppError(message, 400);
 };
 
+// Handle geometries MongoDB cannot index (e.g. self-intersecting polygons)
+const handleGeoErrorDB = () => new AppError('Invalid service area. Polygons must not cross themselves.', 400);
+
+// Handle concurrent updates of the same document (optimistic concurrency)
+const handleVersionErrorDB = () => new AppError('This record was changed by someone else. Please reload and try again.', 409);
+
 // Handle JWT errors
 const handleJWTError = () => new AppError('Invalid token. Please log in again!', 401);
 const handleJWTExpiredError = () => new AppError('Your token has expired! Please log in again.', 401);
@@ -63,10 +69,13 @@ module.exports = (err, req, res, next) => {
   } else if (process.env.NODE_ENV === 'production') {
     let error = { ...err };
     error.message = err.message;
+    error.name = err.name;
 
     if (error.name === 'CastError') error = handleCastErrorDB(error);
     if (error.code === 11000) error = handleDuplicateFieldsDB(error);
+    if (error.code === 16755) error = handleGeoErrorDB();
     if (error.name === 'ValidationError') error = handleValidationErrorDB(error);
+    if (error.name === 'VersionError') error = handleVersionErrorDB();
     if (error.name === 'JsonWebTokenError') error = handleJWTError();
     if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
 
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const AppError = require('../utils/appError');
+const { images: imageConfig, csvImport: csvConfig } = require('../config/storage');
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: imageConfig.maxFileSize,
+    files: imageConfig.maxFilesPerUpload
+  },
+  fileFilter: (req, file, cb) => {
+    if (imageConfig.allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError(`Only ${imageConfig.allowedMimeTypes.join(', ')} images are allowed`, 400));
+    }
+  }
+});
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: csvConfig.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (csvConfig.allowedMimeTypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Only CSV files are allowed', 400));
+    }
+  }
+});
+
+// Turn multer errors (too large, too many files, ...) into 400 responses
+const handleMulterErrors = (upload, { label, maxFileSize }) => (req, res, next) => {
+  upload(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `${label} is too large. Maximum size is ${maxFileSize / (1024 * 1024)} MB`
+        : `Upload error: ${err.message}`;
+      return next(new AppError(message, 400));
+    }
+    next(err);
+  });
+};
+
+// Up to maxFilesPerUpload images in the 'images' field
+exports.uploadImages = handleMulterErrors(
+  imageUpload.array('images', imageConfig.maxFilesPerUpload),
+  { label: 'Image', maxFileSize: imageConfig.maxFileSize }
+);
+
+// One image in the given field
+exports.uploadImage = field => handleMulterErrors(
+  imageUpload.single(field),
+  { label: 'Image', maxFileSize: imageConfig.maxFileSize }
+);
+
+// One CSV file in the given field
+exports.uploadCsv = field => handleMulterErrors(
+  csvUpload.single(field),
+  { label: 'File', maxFileSize: csvConfig.maxFileSize }
+);
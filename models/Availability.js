@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const workingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+    required: [true, 'Please provide the day of the week']
+  },
+  start: {
+    type: String,
+    match: [timePattern, 'Start time must be in HH:mm format'],
+    required: [true, 'Please provide the start time']
+  },
+  end: {
+    type: String,
+    match: [timePattern, 'End time must be in HH:mm format'],
+    required: [true, 'Please provide the end time'],
+    validate: {
+      validator: function(end) {
+        return !this.start || end > this.start;
+      },
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
+const blackoutDateSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Blackout date must be in YYYY-MM-DD format'],
+    required: [true, 'Please provide the blackout date']
+  },
+  reason: String
+}, { _id: false });
+
+const availabilitySchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Availability must belong to a provider'],
+    unique: true
+  },
+  weekly_hours: [workingHoursSchema],
+  blackout_dates: [blackoutDateSchema],
+  // Offset of the provider's local time from UTC in minutes; working hours and dates are local
+  utc_offset: {
+    type: Number,
+    default: 330,
+    min: -720,
+    max: 840
+  },
+  // Minutes between the start times offered as free slots
+  slot_interval: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slot interval must be at least 5 minutes']
+  },
+  booking_lock: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  },
+  booking_lock_expires: {
+    type: Date,
+    select: false
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Run fn while holding the provider's booking lock, so overlap checks and the
+// booking they guard cannot interleave with another booking for the same provider
+availabilitySchema.statics.withBookingLock = async function(provider, fn) {
+  const lockId = new mongoose.Types.ObjectId();
+  const now = Date.now();
+
+  const acquired = await this.findOneAndUpdate(
+    {
+      provider,
+      $or: [{ booking_lock: null }, { booking_lock_expires: { $lt: now } }]
+    },
+    { booking_lock: lockId, booking_lock_expires: now + 10 * 1000 }
+  );
+
+  if (!acquired) {
+    throw new AppError('The provider is handling another booking. Please try again.', 409);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await this.updateOne(
+      { provider, booking_lock: lockId },
+      { $unset: { booking_lock: 1, booking_lock_expires: 1 } }
+    );
+  }
+};
+
+module.exports = mongoose.model('Availability', availabilitySchema);
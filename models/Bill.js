@@ -6,13 +6,18 @@ const billSchema = new mongoose.Schema({
     ref: 'ServiceRequest',
     required: [true, 'Bill must belong to a service request']
   },
+  type: {
+    type: String,
+    enum: ['service', 'cancellation_fee'],
+    default: 'service'
+  },
   amount: {
     type: Number,
     required: [true, 'Please enter bill amount']
   },
   status: {
     type: String,
-    enum: ['paid', 'unpaid'],
+    enum: ['paid', 'unpaid', 'partially_refunded', 'refunded'],
     default: 'unpaid'
   },
   generated_at: {
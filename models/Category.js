@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Please enter category slug'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please enter category name'],
+    trim: true
+  },
+  icon: String,
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ parent: 1 });
+
+// Ids of a category and every (active, unless activeOnly is false) category below it
+categorySchema.statics.findWithDescendantIds = async function(categoryId, { activeOnly = true } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: 'categories',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+        restrictSearchWithMatch: activeOnly ? { active: true } : {}
+      }
+    }
+  ]);
+
+  if (!result) return [];
+  return [result._id, ...result.descendants.map(category => category._id)];
+};
+
+// Find an active category by id or slug
+categorySchema.statics.resolve = function(idOrSlug) {
+  const value = String(idOrSlug);
+  const filter = /^[0-9a-f]{24}$/i.test(value)
+    ? { _id: value }
+    : { slug: value.toLowerCase() };
+
+  return this.findOne({ ...filter, active: true });
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Audit record written every time an account or IP gets locked out of login,
+// kept next to Session so login activity can be investigated in one place
+const lockoutEventSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: [true, 'A lockout event must have a scope']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  ip: {
+    type: String,
+    required: [true, 'A lockout event must have an IP address']
+  },
+  userAgent: {
+    type: String
+  },
+  failedCount: {
+    type: Number,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+lockoutEventSchema.index({ user: 1, createdAt: -1 });
+lockoutEventSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (by email) or one IP address
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'A login attempt must have a key'],
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: [true, 'A login attempt must have a scope']
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  }
+});
+
+// Forget counters a day after the last failure
+loginAttemptSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
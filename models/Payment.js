@@ -9,22 +9,27 @@ const paymentSchema = new Schema({
         required: [true, 'Bill reference is required'] // Reference to the bill associated with the payment
     },
     razorpay_order_id: {
-        type: String,
-        required: [true, 'Razorpay Order ID is required'] // Razorpay order ID for tracking
+        type: String // Razorpay order ID for tracking, set once the customer checks out
     },
     razorpay_payment_id: {
-        type: String,
-        required: [true, 'Razorpay Payment ID is required'] // Payment ID generated by Razorpay
+        type: String // Payment ID generated by Razorpay, set once the payment is made
     },
     payment_method: {
         type: String,
-        required: [true, 'Payment method is required'] // Specifies how the payment was made (e.g., UPI, card)
+        default: 'pending' // Specifies how the payment was made (e.g., UPI, card)
     },
     status: {
         type: String,
-        enum: ['created', 'captured', 'failed'],
+        enum: ['created', 'captured', 'failed', 'partially_refunded', 'refunded'],
         default: 'created' // Tracks the payment status
     },
+    failure_reason: {
+        type: String // Gateway error of the last failed attempt
+    },
+    amount_refunded: {
+        type: Number,
+        default: 0 // Refunded so far, in paise
+    },
     customer: {
         type: Schema.Types.ObjectId,
         ref: 'User',
@@ -28,11 +28,22 @@ const providerBankDetailSchema = new mongoose.Schema({
         type: String,
         unique: true
     },
+    razorpay_validation_id: {
+        type: String // Fund account validation (penny drop) checking the account exists
+    },
     verification_status: {
         type: String,
         enum: ['pending', 'verified', 'failed'],
         default: 'pending'
-    }
+    },
+    verification_note: {
+        type: String // Why verification failed, or the admin's note
+    },
+    verified_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Admin who verified the account by hand
+    },
+    verified_at: Date
 }, {
     timestamps: {
         createdAt: 'createdAt',
@@ -41,5 +52,16 @@ const providerBankDetailSchema = new mongoose.Schema({
 });
 
 providerBankDetailSchema.index({ provider: 1 });
+providerBankDetailSchema.index({ razorpay_validation_id: 1 }, { sparse: true });
+
+// Verification status from a gateway fund account validation: verified once the
+// bank reports the account active, pending while the validation is running
+providerBankDetailSchema.statics.statusFromValidation = function(validation) {
+    if (!validation) return 'pending';
+    if (validation.status === 'completed') {
+        return validation.results && validation.results.account_status === 'active' ? 'verified' : 'failed';
+    }
+    return validation.status === 'failed' ? 'failed' : 'pending';
+};
 
 module.exports = mongoose.model('ProviderBankDetail', providerBankDetailSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+
+// Refund Schema
+const refundSchema = new Schema({
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: [true, 'Payment reference is required'] // Payment the money goes back from
+    },
+    bill: {
+        type: Schema.Types.ObjectId,
+        ref: 'Bill',
+        required: [true, 'Bill reference is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Refund amount is required'], // Amount in paise
+        min: [1, 'Refund amount must be greater than 0']
+    },
+    reason: {
+        type: String,
+        maxlength: [500, 'Reason can be at most 500 characters']
+    },
+    status: {
+        type: String,
+        // requested by a customer -> pending at the gateway once approved -> processed or failed
+        enum: ['requested', 'rejected', 'pending', 'processed', 'failed'],
+        default: 'requested'
+    },
+    requested_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requested_by_role: {
+        type: String,
+        enum: ['customer', 'provider', 'admin', 'system'], // system: made outside the app, seen through the webhook
+        required: true
+    },
+    reviewed_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User' // Provider or admin who approved or rejected the refund
+    },
+    reviewed_at: Date,
+    rejection_reason: String,
+    razorpay_refund_id: {
+        type: String // Refund ID generated by the gateway
+    },
+    failure_reason: String,
+    processed_at: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refundSchema.index({ payment: 1, status: 1 });
+refundSchema.index({ razorpay_refund_id: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const reviewConfig = require('../config/review');
+
+const reportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the report']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const reviewSchema = new mongoose.Schema({
   service: {
@@ -11,6 +28,11 @@ const reviewSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Review must belong to a customer']
   },
+  // Completed booking that makes this a verified review
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceRequest'
+  },
   rating: {
     type: Number,
     min: 1,
@@ -21,13 +43,102 @@ const reviewSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide a review comment']
   },
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'taken_down'],
+    default: 'published'
+  },
+  taken_down_at: Date,
+  taken_down_reason: String,
+  reply: {
+    comment: String,
+    created_at: Date
+  },
+  reports: [reportSchema],
+  moderated_at: Date,
   created_at: {
     type: Date,
     default: Date.now
-  }
+  },
+  updated_at: Date
 });
 
 // Prevent duplicate reviews from same user for same service
 reviewSchema.index({ service: 1, customer: 1 }, { unique: true });
 
+// Whether the customer can still edit the review
+reviewSchema.methods.isEditable = function() {
+  return Date.now() - this.created_at.getTime() <= reviewConfig.editWindow * 24 * 60 * 60 * 1000;
+};
+
+// Record a report; a published review is flagged (hidden) once it collects enough
+// reports since it was last moderated. The caller still has to save the document.
+reviewSchema.methods.addReport = function(user, reason) {
+  this.reports.push({ user, reason });
+
+  const since = this.moderated_at ? this.moderated_at.getTime() : 0;
+  const openReports = this.reports.filter(report => report.created_at.getTime() > since).length;
+  if (this.status === 'published' && openReports >= reviewConfig.reportsToHide) {
+    this.status = 'flagged';
+  }
+
+  return this;
+};
+
+// Rating summary ({ average, count, histogram }) of the published reviews matching filter
+const summarize = async (Review, filter) => {
+  const [result] = await Review.aggregate([
+    { $match: { ...filter, status: 'published' } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        ratings: { $push: '$rating' }
+      }
+    }
+  ]);
+
+  if (!result) return { average: 0, count: 0, histogram: [0, 0, 0, 0, 0] };
+
+  return {
+    average: Math.round(result.average * 10) / 10,
+    count: result.count,
+    histogram: [1, 2, 3, 4, 5].map(star => result.ratings.filter(rating => rating === star).length)
+  };
+};
+
+// Recalculate the denormalized rating of a service and of its provider
+reviewSchema.statics.recalculateRatings = async function(serviceId) {
+  const Service = mongoose.model('Service');
+  const User = mongoose.model('User');
+
+  const service = await Service.findById(serviceId).select('provider');
+  if (!service) return;
+
+  const providerServiceIds = await Service.find({ provider: service.provider }).distinct('_id');
+  const [serviceRating, providerRating] = await Promise.all([
+    summarize(this, { service: service._id }),
+    summarize(this, { service: { $in: providerServiceIds } })
+  ]);
+
+  await Promise.all([
+    Service.updateOne({ _id: service._id }, { rating: serviceRating }),
+    User.updateOne({ _id: service.provider }, { provider_rating: providerRating })
+  ]);
+};
+
+// Keep ratings in sync whenever a review is created, edited or removed
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.recalculateRatings(doc.service);
+});
+
+reviewSchema.post(/^findOneAnd/, async function(doc) {
+  if (doc) await doc.constructor.recalculateRatings(doc.service);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await doc.constructor.recalculateRatings(doc.service);
+});
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
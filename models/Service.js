@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const ratingSummarySchema = require('./schemas/ratingSummary');
+const imageSchema = require('./schemas/image');
+const geoAreaSchema = require('./schemas/geoArea');
 
 const serviceSchema = new mongoose.Schema({
   provider: {
@@ -11,11 +14,20 @@ const serviceSchema = new mongoose.Schema({
     required: [true, 'Please enter service name']
   },
   description: String,
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
   price: {
     type: Number,
     required: [true, 'Please enter service price'],
     min: [0, 'Price must be at least 0']
   },
+  duration_minutes: {
+    type: Number,
+    default: 60,
+    min: [5, 'Duration must be at least 5 minutes']
+  },
   location: {
     type: {
       type: String,
@@ -28,16 +40,57 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please enter service address']
   },
+  // Area the provider travels to, copied from their profile by utils/serviceArea
+  service_area: geoAreaSchema,
   parent_service: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Service'
   },
+  images: [imageSchema],
+  rating: {
+    type: ratingSummarySchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived', 'taken_down'],
+    default: 'active'
+  },
+  archived_at: Date,
+  taken_down_at: Date,
+  taken_down_reason: String,
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Statuses that keep a service out of search and bookings: archived by its
+// provider (kept for booking history) or taken down by an admin
+serviceSchema.statics.HIDDEN_STATUSES = ['archived', 'taken_down'];
+
+// A service together with all services below it
+serviceSchema.statics.findWithDescendants = async function(serviceId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(serviceId) } },
+    {
+      $graphLookup: {
+        from: 'services',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent_service',
+        as: 'descendants'
+      }
+    }
+  ]);
+
+  if (!result) return [];
+  const { descendants, ...service } = result;
+  return [service, ...descendants];
+};
+
 serviceSchema.index({ location: '2dsphere' });
+serviceSchema.index({ service_area: '2dsphere' });
 serviceSchema.index({ provider: 1 });
+serviceSchema.index({ category: 1 });
 module.exports = mongoose.model('Service', serviceSchema);
\ No newline at end of file
@@ -1,4 +1,60 @@
 const mongoose = require('mongoose');
+const bookingStateMachine = require('../utils/bookingStateMachine');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actor_role: {
+    type: String,
+    enum: ['customer', 'provider', 'admin', 'system'],
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const rescheduleProposalSchema = new mongoose.Schema({
+  proposed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proposed_by_role: {
+    type: String,
+    enum: ['customer', 'provider'],
+    required: true
+  },
+  time_slot: {
+    type: Date,
+    required: [true, 'Please select a new time slot']
+  },
+  end_time: Date,
+  reason: String,
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  responded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  responded_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const serviceRequestSchema = new mongoose.Schema({
   service: {
@@ -6,6 +62,10 @@ const serviceRequestSchema = new mongoose.Schema({
     ref: 'Service',
     required: [true, 'Request must belong to a service']
   },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -15,15 +75,59 @@ const serviceRequestSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please select a time slot']
   },
+  end_time: {
+    type: Date
+  },
+  // Where the provider goes, copied from the customer's address book at booking time
+  address: {
+    address_id: mongoose.Schema.Types.ObjectId,
+    label: String,
+    address: String,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'completed'],
+    enum: bookingStateMachine.STATUSES,
     default: 'pending'
   },
+  status_history: [statusHistorySchema],
+  reschedule_proposals: [rescheduleProposalSchema],
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // Two status changes racing on the same request make the second save fail
+  optimisticConcurrency: true
 });
 
+// Move the request to a new status if the state machine allows it, recording who did it and why.
+// The caller still has to save the document.
+serviceRequestSchema.methods.transitionTo = function(status, { actor, role, reason } = {}) {
+  bookingStateMachine.assertTransition(this, status, role);
+
+  this.status_history.push({
+    from: this.status,
+    to: status,
+    actor,
+    actor_role: role,
+    reason
+  });
+  this.status = status;
+
+  return this;
+};
+
+// Index for finding a provider's overlapping bookings
+serviceRequestSchema.index({ provider: 1, status: 1, time_slot: 1 });
+
 module.exports = mongoose.model('ServiceRequest', serviceRequestSchema);
\ No newline at end of file
@@ -24,6 +24,19 @@ const sessionSchema = new mongoose.Schema({
   active: {
     type: Boolean,
     default: true
+  },
+  // Hash of the id of the only refresh token of this session that may still be used.
+  // Every refresh rotates it, so an older token showing up again means it was stolen.
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'refresh_token_reuse', 'password_change', 'password_reset', 'account_suspended']
   }
 });
 
@@ -16,17 +16,57 @@ const transferSchema = new Schema({
     },
     amount: {
         type: Number,
-        required: [true, 'Transfer amount is required'] // The amount to be transferred
+        required: [true, 'Transfer amount is required'] // The amount to be transferred, negative for a clawback
     },
+    type: {
+        type: String,
+        enum: ['payout', 'clawback'],
+        default: 'payout' // clawback: refunded share of a payout already made, deducted from later payouts
+    },
+    refund: {
+        type: Schema.Types.ObjectId,
+        ref: 'Refund' // Refund a clawback comes from
+    },
+    // Refunds that reduced the amount before it was paid out
+    adjustments: [{
+        _id: false,
+        refund: { type: Schema.Types.ObjectId, ref: 'Refund' },
+        amount: Number,
+        at: { type: Date, default: Date.now }
+    }],
     status: {
         type: String,
-        enum: ['created', 'captured' , 'failed'],
+        // created: waiting to be paid out -> processing: payout sent -> captured: paid out.
+        // failed payouts are retried until maxAttempts; on_hold: held back by an admin
+        enum: ['created', 'processing', 'captured', 'failed', 'on_hold', 'cancelled'],
         default: 'created' // Status of the transfer
     },
+    payout_batch: {
+        type: String // Transfers of a provider paid out together in one payout
+    },
+    attempts: {
+        type: Number,
+        default: 0 // Payout attempts so far
+    },
+    next_attempt_at: {
+        type: Date // When a failed payout is retried, unset once attempts run out
+    },
+    hold_reason: String,
+    held_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paid_at: Date,
     transfer_mode: {
         type: String,
         enum: ['upi', 'imps', 'neft', 'rtgs'],
-        required: [true, 'Transfer mode is required'] // Transfer mode used for the payment
+        default: 'imps' // Transfer mode used for the payment
+    },
+    razorpay_payout_id: {
+        type: String // Razorpay payout ID, set once the payout is made, shared by the transfers of a batch
+    },
+    failure_reason: {
+        type: String // Why the payout failed or was reversed
     },
     createdAt: {
         type: Date,
@@ -38,4 +78,11 @@ const transferSchema = new Schema({
     }
 });
 
+// Transfers not paid out yet, a refund can still reduce them
+transferSchema.statics.UNPAID_STATUSES = ['created', 'failed', 'on_hold'];
+
+transferSchema.index({ status: 1, next_attempt_at: 1 });
+transferSchema.index({ provider: 1, status: 1 });
+transferSchema.index({ razorpay_payout_id: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Transfer', transferSchema); // Export the Transfer model
\ No newline at end of file
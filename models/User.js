@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const ratingSummarySchema = require('./schemas/ratingSummary');
+const imageSchema = require('./schemas/image');
+const geoAreaSchema = require('./schemas/geoArea');
+const addressSchema = require('./schemas/address');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+const verificationConfig = require('../config/verification');
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const providerProfileSchema = new mongoose.Schema({
+  bio: {
+    type: String,
+    maxlength: [1000, 'Bio can be at most 1000 characters']
+  },
+  experience_years: {
+    type: Number,
+    min: [0, 'Experience cannot be negative'],
+    max: [80, 'Experience can be at most 80 years']
+  },
+  languages: [String],
+  service_radius_km: {
+    type: Number,
+    min: [1, 'Service radius must be at least 1 km'],
+    max: [200, 'Service radius can be at most 200 km']
+  },
+  // Drawn area served, takes precedence over service_radius_km
+  service_area: geoAreaSchema,
+  profile_photo: imageSchema,
+  // Images uploaded through the portfolio endpoints
+  portfolio: {
+    type: [imageSchema],
+    validate: {
+      validator: images => images.length <= 20,
+      message: 'A portfolio can have at most 20 images'
+    }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,9 +62,16 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'provider'],
+    enum: ['customer', 'provider', 'admin'],
     required: true
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspended_at: Date,
+  suspension_reason: String,
   location: {
     type: {
       type: String,
@@ -35,9 +80,95 @@ const userSchema = new mongoose.Schema({
     },
     coordinates: [Number]
   },
-  address: String
+  address: String,
+  // Customer address book, bookings can go to any of these
+  addresses: {
+    type: [addressSchema],
+    validate: {
+      validator: addresses => addresses.length <= 10,
+      message: 'You can save at most 10 addresses'
+    }
+  },
+  provider_profile: {
+    type: providerProfileSchema,
+    default: undefined
+  },
+  // Rating over all services of a provider
+  provider_rating: {
+    type: ratingSummarySchema,
+    default: undefined
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  email_verified: {
+    type: Boolean,
+    default: false
+  },
+  phone_verified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  phoneOtp: {
+    type: String,
+    select: false
+  },
+  phoneOtpExpires: {
+    type: Date,
+    select: false
+  },
+  phoneOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  phoneOtpSentAt: Date
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Account is verified once both email and phone number are confirmed
+userSchema.virtual('is_verified').get(function() {
+  return this.email_verified && this.phone_verified;
 });
 
+// Where a booking takes place: a saved address, or the registered address when
+// no address id is given. Undefined when the address id is not in the address book.
+userSchema.methods.getBookingAddress = function(addressId) {
+  if (!addressId) {
+    return {
+      label: 'Registered address',
+      address: this.address,
+      location: this.location
+    };
+  }
+
+  const saved = this.addresses.id(addressId);
+  if (!saved) return undefined;
+
+  return {
+    address_id: saved._id,
+    label: saved.label,
+    address: saved.address,
+    location: saved.location
+  };
+};
+
 // Geospatial index for location-based queries
 userSchema.index({ location: '2dsphere' });
 
@@ -53,4 +184,47 @@ userSchema.methods.matchPassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a one-time password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = Date.now() + mailConfig.passwordResetExpiresIn * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate an email verification token for the link sent by mail; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = Date.now() + verificationConfig.emailTokenExpiresIn * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Generate a numeric OTP for the phone number; only its hash is stored
+userSchema.methods.createPhoneOtp = function() {
+  const otp = crypto.randomInt(0, 10 ** verificationConfig.otpLength)
+    .toString()
+    .padStart(verificationConfig.otpLength, '0');
+
+  this.phoneOtp = hashToken(`${this._id}:${otp}`);
+  this.phoneOtpExpires = Date.now() + verificationConfig.otpExpiresIn * 60 * 1000;
+  this.phoneOtpAttempts = 0;
+  this.phoneOtpSentAt = Date.now();
+
+  return otp;
+};
+
+// Check a phone OTP; needs phoneOtp, phoneOtpExpires and phoneOtpAttempts selected
+userSchema.methods.matchPhoneOtp = function(candidateOtp) {
+  return Boolean(this.phoneOtp) &&
+    this.phoneOtpExpires > Date.now() &&
+    this.phoneOtpAttempts < verificationConfig.otpMaxAttempts &&
+    this.phoneOtp === hashToken(`${this._id}:${candidateOtp}`);
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Payment gateway webhook delivery, stored once per event id so retried
+// deliveries are not applied twice
+const webhookEventSchema = new mongoose.Schema({
+  event_id: {
+    type: String,
+    required: [true, 'Event id is required'],
+    unique: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  // Why an event was ignored or failed
+  note: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Held by the delivery applying the event until then
+  locked_until: Date,
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  processed_at: Date
+});
+
+webhookEventSchema.index({ event: 1, received_at: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Saved customer address with the point it geocodes to
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please give the address a label, e.g. Home or Office'],
+    trim: true,
+    maxlength: [40, 'Label can be at most 40 characters']
+  },
+  address: {
+    type: String,
+    required: [true, 'Please enter the address']
+  },
+  location: {
+    type: {
+      type: String,
+      default: 'Point',
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  }
+});
+
+module.exports = addressSchema;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// GeoJSON Polygon or MultiPolygon, [longitude, latitude] positions
+const geoAreaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    required: true
+  },
+  coordinates: {
+    type: Array,
+    required: true
+  }
+}, { _id: false });
+
+module.exports = geoAreaSchema;
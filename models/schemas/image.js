@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Uploaded image with its thumbnail; keys identify the files in utils/storage
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnail_url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnail_key: {
+    type: String,
+    required: true
+  },
+  uploaded_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = imageSchema;
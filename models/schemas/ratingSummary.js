@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Denormalized rating of a service or provider, kept up to date by the Review model
+const ratingSummarySchema = new mongoose.Schema({
+  average: {
+    type: Number,
+    default: 0
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Number of 1 to 5 star ratings, histogram[0] being 1 star
+  histogram: {
+    type: [Number],
+    default: [0, 0, 0, 0, 0]
+  }
+}, { _id: false });
+
+module.exports = ratingSummarySchema;
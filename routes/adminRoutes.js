@@ -0,0 +1,65 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(
+  authMiddleware.authenticate,
+  authMiddleware.authorize('admin')
+);
+
+
+// list users
+router.get('/users', adminController.getUsers);
+
+// suspend user
+router.patch('/users/:id/suspend', adminController.suspendUser);
+
+// reactivate user
+router.patch('/users/:id/reactivate', adminController.reactivateUser);
+
+// take down service
+router.patch('/services/:id/takedown', adminController.takeDownService);
+
+// list reviews, flagged ones by default
+router.get('/reviews', adminController.getReviews);
+
+// approve flagged or taken down review
+router.patch('/reviews/:id/approve', adminController.approveReview);
+
+// take down review
+router.patch('/reviews/:id/takedown', adminController.takeDownReview);
+
+// list payments
+router.get('/payments', adminController.getPayments);
+
+// list transfers
+router.get('/transfers', adminController.getTransfers);
+
+// list provider bank details, pending verification by default
+router.get('/bank-details', adminController.getBankDetails);
+
+// verify or fail provider bank details
+router.patch('/bank-details/:id/verify', adminController.verifyBankDetails);
+
+// hold transfer from payouts
+router.patch('/transfers/:id/hold', adminController.holdTransfer);
+
+// retry failed or held transfer
+router.patch('/transfers/:id/retry', adminController.retryTransfer);
+
+// list categories
+router.get('/categories', adminController.getCategories);
+
+// create category
+router.post('/categories', adminController.createCategory);
+
+// update category
+router.patch('/categories/:id', adminController.updateCategory);
+
+// delete category
+router.delete('/categories/:id', adminController.deleteCategory);
+
+module.exports = router;
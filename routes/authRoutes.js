@@ -4,8 +4,17 @@ const authMiddleware = require('../middlewares/auth');
 const router = express.Router();
 
 router.post('/register', authController.register);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-phone', authMiddleware.authenticate, authController.verifyPhone);
+router.post('/verification/resend', authMiddleware.authenticate, authController.resendVerification);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
 router.post('/logout', authMiddleware.authenticate, authController.logout);
-router.post('/reset-password', authMiddleware.authenticate,  authController.resetPassword);
+router.post('/logout-all', authMiddleware.authenticate, authController.logoutAll);
+router.get('/sessions', authMiddleware.authenticate, authController.getSessions);
+router.delete('/sessions/:id', authMiddleware.authenticate, authController.revokeSession);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password/:token', authController.resetPassword);
+router.post('/change-password', authMiddleware.authenticate, authController.changePassword);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const customerController = require('../controllers/customerController');
 const paymentController = require('../controllers/paymentController');
+const reviewController = require('../controllers/reviewController');
 const authMiddleware = require('../middlewares/auth');
 
 const router = express.Router();
@@ -8,24 +9,72 @@ const router = express.Router();
 // Protect all routes after this middleware
 router.use(
     authMiddleware.authenticate,
-    authMiddleware.customerRoleAuthenticate
+    authMiddleware.authorize('customer')
 );
 
 
+// get my saved addresses
+router.get('/addresses', customerController.getAddresses);
+
+// save a new address
+router.post('/addresses', customerController.addAddress);
+
+// update saved address
+router.patch('/addresses/:id', customerController.updateAddress);
+
+// delete saved address
+router.delete('/addresses/:id', customerController.deleteAddress);
+
+// get all active categories
+router.get('/categories', customerController.getCategories);
+
 // get all parent services
 router.get('/services/all/parents', customerController.getAllParentServices); 
 
+// search services by text, category, price, radius and rating
+router.get('/services/search', customerController.searchServices);
+
 // get all services by category and radius
-router.get('/services/:service_name', customerController.getFilteredServices);
+router.get('/services/:category', customerController.getFilteredServices);
 
 // get one service details by id
 router.get('/services/info/:id', customerController.getServiceDetails);
 
+// get free time slots of a service on a date
+router.get('/services/:id/slots', customerController.getServiceSlots);
+
 // create service request
 router.post('/services/request', customerController.createServiceRequest);
 
+// list my service requests
+router.get('/requests', customerController.getMyServiceRequests);
+
+// cancel service request
+router.patch('/requests/:id/cancel', customerController.cancelServiceRequest);
+
+// propose new time slot
+router.post('/requests/:id/reschedule', customerController.proposeReschedule);
+
+// accept provider's reschedule proposal
+router.patch('/requests/:id/reschedule/accept', customerController.acceptReschedule);
+
+// decline provider's reschedule proposal
+router.patch('/requests/:id/reschedule/decline', customerController.declineReschedule);
+
 // submit review for a service
 router.post('/services/:id/review', customerController.submitReview);
 
+// edit my review of a service
+router.patch('/services/:id/review', customerController.updateReview);
+
+// delete my review of a service
+router.delete('/services/:id/review', customerController.deleteReview);
+
+// report a review
+router.post('/reviews/:id/report', reviewController.reportReview);
+
+// get reviews of a service
+router.get('/services/:id/reviews', customerController.getServiceReviews);
+
 
 module.exports = router;
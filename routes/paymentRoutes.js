@@ -1,30 +1,61 @@
 
 const express = require('express');
 const paymentController = require('../controllers/paymentController');
+const refundController = require('../controllers/refundController');
 const authMiddleware = require('../middlewares/auth');
+const paymentConfig = require('../config/payment');
 
 const router = express.Router();
 
+// Razorpay webhook, authenticated by its signature
+router.post('/webhook', paymentController.handleWebhook);
+
 // Protect all routes after this middleware
 router.use(authMiddleware.authenticate);
 
 
+// create the checkout order for one of my bills
+router.post('/bills/:id/order',
+    authMiddleware.authorize('customer'),
+    paymentController.createOrder
+);
+
+
+// refund a paid bill (customers request, providers and admins refund directly)
+router.post('/bills/:id/refunds', refundController.createRefund);
+
+// list refunds of a bill
+router.get('/bills/:id/refunds', refundController.getRefunds);
+
+// approve a customer's refund request
+router.patch('/refunds/:id/approve',
+    authMiddleware.authorize('provider', 'admin'),
+    refundController.approveRefund
+);
+
+// reject a customer's refund request
+router.patch('/refunds/:id/reject',
+    authMiddleware.authorize('provider', 'admin'),
+    refundController.rejectRefund
+);
+
+
+// complete a checkout offline, only with the mock gateway
+if (paymentConfig.gateway === 'mock') {
+    router.post('/mock/orders/:orderId/pay',
+        authMiddleware.authorize('customer'),
+        paymentController.payMockOrder
+    );
+}
+
+
 // process payment from customer to my razorpay account
 router.post('/payment/:id', 
     paymentController.processPaymentFromCustomerToMe
 ); 
 
 
-// // process payment from my razorpay account to provider's bank account
-// router.post('/transfer/:id', 
-//     paymentController.processPaymentFromMeToProvider
-// );
-
-
 // testing
-router.post('/order', 
-    paymentController.createOrder
-);
 router.get('/payment/:paymentId',
     paymentController.getPaymentDetails
 )
@@ -1,25 +1,84 @@
 const express = require('express');
 const providerController = require('../controllers/providerController');
+const reviewController = require('../controllers/reviewController');
 const authMiddleware = require('../middlewares/auth');
+const uploadMiddleware = require('../middlewares/upload');
 
 const router = express.Router();
 
 // Protect all routes after this middleware
 router.use(
   authMiddleware.authenticate,
-  authMiddleware.providerRoleAuthenticate
+  authMiddleware.authorize('provider')
 );
 
 
+// get my profile
+router.get('/profile', providerController.getMyProfile);
+
+// update my profile
+router.patch('/profile', providerController.updateMyProfile);
+
+// upload profile photo
+router.put(
+  '/profile/photo',
+  uploadMiddleware.uploadImage('photo'),
+  providerController.uploadProfilePhoto
+);
+
+// upload portfolio images
+router.post(
+  '/profile/portfolio',
+  uploadMiddleware.uploadImages,
+  providerController.uploadPortfolioImages
+);
+
+// delete portfolio image
+router.delete('/profile/portfolio/:imageId', providerController.deletePortfolioImage);
+
+// list my services as a tree of parent and child services
+router.get('/services', providerController.getMyServices);
+
 // create new service
-router.post('/services/create', providerController.createService); 
+router.post(
+  '/services/create',
+  authMiddleware.requireVerified,
+  providerController.createService
+); 
+
+// import services from CSV (?dry_run=true only validates)
+router.post(
+  '/services/import',
+  authMiddleware.requireVerified,
+  uploadMiddleware.uploadCsv('file'),
+  providerController.importServices
+);
+
+// export my services in the import CSV format
+router.get('/services/export', providerController.exportServices);
 
 // update service
 router.put('/services/:id', providerController.updateService); 
 
-// delete service
+// delete service (archived instead when it has booking history)
 router.delete('/services/:id', providerController.deleteService); 
 
+// restore archived service
+router.patch('/services/:id/restore', providerController.restoreService); 
+
+// upload service images
+router.post(
+  '/services/:id/images',
+  uploadMiddleware.uploadImages,
+  providerController.uploadServiceImages
+);
+
+// delete service image
+router.delete('/services/:id/images/:imageId', providerController.deleteServiceImage); 
+
+// list incoming service requests
+router.get('/requests', providerController.getIncomingRequests);
+
 // accept service request
 router.patch(
   '/requests/:id/accept',
@@ -32,12 +91,84 @@ router.patch(
   providerController.rejectRequest
 ); 
 
+// start service request
+router.patch(
+  '/requests/:id/start',
+  providerController.startRequest
+); 
+
+// complete service request
+router.patch(
+  '/requests/:id/complete',
+  providerController.completeRequest
+); 
+
+// cancel service request
+router.patch(
+  '/requests/:id/cancel',
+  providerController.cancelRequest
+); 
+
+// mark customer as no-show
+router.patch(
+  '/requests/:id/no-show',
+  providerController.markNoShow
+); 
+
+// propose new time slot
+router.post(
+  '/requests/:id/reschedule',
+  providerController.proposeReschedule
+); 
+
+// accept customer's reschedule proposal
+router.patch(
+  '/requests/:id/reschedule/accept',
+  providerController.acceptReschedule
+); 
+
+// decline customer's reschedule proposal
+router.patch(
+  '/requests/:id/reschedule/decline',
+  providerController.declineReschedule
+); 
+
 // bill generate
 router.post(
   '/requests/:id/bill',
   providerController.generateBill
 ); 
 
+// get my availability
+router.get('/availability', providerController.getAvailability);
+
+// set weekly working hours
+router.put('/availability', providerController.setAvailability);
+
+// add blackout date
+router.post(
+  '/availability/blackout-dates',
+  providerController.addBlackoutDate
+);
+
+// remove blackout date
+router.delete(
+  '/availability/blackout-dates/:date',
+  providerController.removeBlackoutDate
+);
+
+// reply to a review of my service
+router.post(
+  '/reviews/:id/reply',
+  providerController.replyToReview
+); 
+
+// report a review
+router.post(
+  '/reviews/:id/report',
+  reviewController.reportReview
+); 
+
 // add provider bank details
 router.post(
   '/bankDetails',
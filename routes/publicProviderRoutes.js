@@ -0,0 +1,12 @@
+const express = require('express');
+const providerController = require('../controllers/providerController');
+
+const router = express.Router();
+
+// Public routes, no login needed
+
+
+// get provider public profile
+router.get('/:id', providerController.getPublicProfile);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// Create an admin account. Registration only creates customers and providers,
+// so the first admin of a deployment is made with this script.
+//
+//   ADMIN_PASSWORD=... node scripts/createAdmin.js --name "Jane Doe" --email admin@example.com --phone 9999999999
+//
+// The password is read from ADMIN_PASSWORD so it does not end up in the shell history.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const usage = 'Usage: ADMIN_PASSWORD=<password> node scripts/createAdmin.js --name <name> --email <email> --phone <phone number>';
+
+const parseArgs = argv => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name') options.name = argv[++i];
+    else if (arg === '--email') options.email = argv[++i];
+    else if (arg === '--phone') options.phone = argv[++i];
+  }
+  return options;
+};
+
+(async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const password = process.env.ADMIN_PASSWORD;
+  if (!options.name || !options.email || !options.phone || !password) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  // 1. Never turn an existing account into an admin
+  const existing = await User.findOne({ email: options.email.toLowerCase() });
+  if (existing) {
+    console.error(`A ${existing.role} account already exists with ${options.email}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+
+  // 2. Create the admin, verified since nobody can receive its verification link yet.
+  // The location index needs a point, admins are not tied to a place.
+  const admin = await User.create({
+    name: options.name,
+    email: options.email,
+    password,
+    phone_number: options.phone,
+    role: 'admin',
+    email_verified: true,
+    phone_verified: true,
+    location: { type: 'Point', coordinates: [0, 0] }
+  });
+
+  console.log(`Admin ${admin.email} created with id ${admin._id}`);
+  await mongoose.connection.close();
+})().catch(async err => {
+  console.error(err.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
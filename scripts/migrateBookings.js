@@ -0,0 +1,51 @@
+// One-off migration for service requests made before bookings had a provider and
+// an end time: copies the provider from the service and ends the booking after the
+// service's duration, so the overlap check sees them. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Service = require('../models/Service');
+const ServiceRequest = require('../models/ServiceRequest');
+
+(async () => {
+  await connectDB();
+
+  const requests = await ServiceRequest.find({
+    $or: [{ provider: { $exists: false } }, { end_time: { $exists: false } }]
+  }).select('service provider time_slot end_time');
+
+  // 1. Services the requests were made for
+  const services = await Service.find({ _id: { $in: requests.map(r => r.service) } })
+    .select('provider duration_minutes');
+  const serviceById = new Map(services.map(s => [s.id, s]));
+
+  // 2. Fill in what is missing
+  let skipped = 0;
+  const updates = [];
+  requests.forEach(request => {
+    const service = serviceById.get(request.service.toString());
+    if (!service) {
+      skipped += 1;
+      return;
+    }
+
+    updates.push({
+      updateOne: {
+        filter: { _id: request._id },
+        update: {
+          provider: request.provider || service.provider,
+          end_time: request.end_time ||
+            new Date(request.time_slot.getTime() + (service.duration_minutes || 60) * 60 * 1000)
+        }
+      }
+    });
+  });
+
+  if (updates.length) {
+    await ServiceRequest.bulkWrite(updates);
+  }
+
+  console.log(`${updates.length} service requests backfilled, ${skipped} skipped because their service no longer exists`);
+
+  await mongoose.connection.close();
+})();
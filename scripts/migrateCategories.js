@@ -0,0 +1,39 @@
+// One-off migration from the hard-coded service categories to the Category collection:
+// creates the old categories and links existing parent services (and their children)
+// whose name matches one of them. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+
+const legacyCategories = [
+  { name: 'BeautyAndSaloon', slug: 'beauty-and-saloon', displayName: 'Beauty & Saloon' },
+  { name: 'HouseKeeping', slug: 'house-keeping', displayName: 'House Keeping' },
+  { name: 'Tutor', slug: 'tutor', displayName: 'Tutor' },
+  { name: 'Electrician', slug: 'electrician', displayName: 'Electrician' },
+  { name: 'Carpenter', slug: 'carpenter', displayName: 'Carpenter' },
+  { name: 'Plumber', slug: 'plumber', displayName: 'Plumber' }
+];
+
+(async () => {
+  await connectDB();
+
+  for (const legacy of legacyCategories) {
+    const category = await Category.findOneAndUpdate(
+      { slug: legacy.slug },
+      { $setOnInsert: { slug: legacy.slug, name: legacy.displayName } },
+      { new: true, upsert: true }
+    );
+
+    const parentIds = await Service.find({ name: legacy.name, parent_service: null, category: null }).distinct('_id');
+    const { modifiedCount } = await Service.updateMany(
+      { $or: [{ _id: { $in: parentIds } }, { parent_service: { $in: parentIds } }] },
+      { category: category._id }
+    );
+
+    console.log(`${legacy.name} -> ${category.slug}: ${modifiedCount} services linked`);
+  }
+
+  await mongoose.connection.close();
+})();
@@ -0,0 +1,22 @@
+// One-off migration for accounts registered before email and phone verification:
+// they never got the fields, so they are treated as verified instead of being
+// blocked from listing services. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+(async () => {
+  await connectDB();
+
+  for (const field of ['email_verified', 'phone_verified']) {
+    const { modifiedCount } = await User.updateMany(
+      { [field]: { $exists: false } },
+      { [field]: true }
+    );
+
+    console.log(`${field}: ${modifiedCount} users grandfathered`);
+  }
+
+  await mongoose.connection.close();
+})();
@@ -4,17 +4,30 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const errorHandler = require('./middlewares/error');
 const connectDB=require("./config/db")
+const storageConfig = require('./config/storage');
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Uploaded images stored on local disk
+if (storageConfig.driver === 'local') {
+  app.use(storageConfig.publicPath, express.static(storageConfig.uploadDir));
+}
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/provider', require('./routes/providerRoutes'));
 app.use('/api/customer', require('./routes/customerRoutes'));
+app.use('/api/providers', require('./routes/publicProviderRoutes'));
 app.use('/api/payment', require('./routes/paymentRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 // Error handling
 app.use(errorHandler);
@@ -23,6 +36,11 @@ const PORT = process.env.PORT || 8000;
 (
     async () => {
         await connectDB();
+
+        // Background jobs
+        require('./jobs/expireServiceRequests').start();
+        require('./jobs/payoutTransfers').start();
+
         app.listen(PORT, () =>{ 
 
             console.log(`Server running on port ${PORT}`)
@@ -0,0 +1,78 @@
+// Slot calculations for provider availability. Working hours and blackout
+// dates are in the provider's local time, given by availability.utc_offset.
+
+const MINUTE = 60 * 1000;
+
+// Request statuses that keep a provider busy for their time slot
+const BLOCKING_STATUSES = ['pending', 'accepted', 'in_progress'];
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 'YYYY-MM-DD' and minutes since midnight of a UTC instant, in provider local time
+const toLocal = (availability, instant) => {
+  const local = new Date(instant.getTime() + availability.utc_offset * MINUTE);
+  return {
+    date: local.toISOString().slice(0, 10),
+    day: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+const isBlackedOut = (availability, date) =>
+  availability.blackout_dates.some(blackout => blackout.date === date);
+
+// Whether a booking of durationMinutes starting at start fits in one working-hours window
+exports.isWithinWorkingHours = (availability, start, durationMinutes) => {
+  const local = toLocal(availability, start);
+  if (isBlackedOut(availability, local.date)) return false;
+
+  return availability.weekly_hours.some(hours =>
+    hours.day === local.day &&
+    toMinutes(hours.start) <= local.minutes &&
+    local.minutes + durationMinutes <= toMinutes(hours.end)
+  );
+};
+
+// Free slots on a local date ('YYYY-MM-DD') for a service of durationMinutes,
+// leaving out slots in the past and slots overlapping existing bookings
+exports.getFreeSlots = (availability, date, durationMinutes, bookings, now = new Date()) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const localMidnight = Date.UTC(year, month - 1, day);
+  const weekday = new Date(localMidnight).getUTCDay();
+  const dayStart = localMidnight - availability.utc_offset * MINUTE;
+
+  if (isBlackedOut(availability, date)) return [];
+
+  const slots = [];
+  availability.weekly_hours
+    .filter(hours => hours.day === weekday)
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start))
+    .forEach(hours => {
+      for (
+        let minutes = toMinutes(hours.start);
+        minutes + durationMinutes <= toMinutes(hours.end);
+        minutes += availability.slot_interval
+      ) {
+        const start = new Date(dayStart + minutes * MINUTE);
+        const end = new Date(start.getTime() + durationMinutes * MINUTE);
+
+        const taken = bookings.some(booking => booking.time_slot < end && booking.end_time > start);
+        if (start > now && !taken) slots.push({ start, end });
+      }
+    });
+
+  return slots;
+};
+
+// Query for a provider's bookings overlapping [start, end)
+exports.overlapFilter = (provider, start, end) => ({
+  provider,
+  status: { $in: BLOCKING_STATUSES },
+  time_slot: { $lt: end },
+  end_time: { $gt: start }
+});
+
+exports.BLOCKING_STATUSES = BLOCKING_STATUSES;
@@ -0,0 +1,60 @@
+const Bill = require('../models/Bill');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+
+// Create a bill for a service request together with the payment entry the customer pays it through
+exports.createBill = async ({ request, provider, customer, amount, type = 'service' }) => {
+  // 1. Create new bill
+  const bill = await Bill.create({
+    request,
+    type,
+    amount,
+    status: 'unpaid'
+  });
+
+  // 2. Create an entry in Payment table
+  const payment = await Payment.create({
+    bill: bill._id,
+    provider,
+    customer,
+    amount: Math.round(amount * 100), // Store in whole paise
+    status: 'created',
+    payment_method: 'pending' // Payment method not confirmed yet
+  });
+
+  return { bill, payment };
+};
+
+// Mark a payment captured, its bill paid and queue the provider's share for payout.
+// Returns null when the payment was already captured, e.g. by the webhook.
+exports.capturePayment = async (payment, { orderId, paymentId, method }) => {
+  // 1. Capture the payment once, whoever gets here first
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['created', 'failed'] } },
+    {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      payment_method: method,
+      // Payments created before amounts were rounded can hold fractions of a paisa
+      amount: Math.round(payment.amount),
+      status: 'captured',
+      $unset: { failure_reason: 1 },
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+  if (!captured) return null;
+
+  // 2. Update bill status to 'paid'
+  await Bill.findByIdAndUpdate(captured.bill, { status: 'paid' });
+
+  // 3. Create the transfer of the provider's share
+  const transfer = await Transfer.create({
+    payment: captured._id,
+    provider: captured.provider,
+    amount: captured.amount - captured.platform_fee,
+    status: 'created'
+  });
+
+  return { payment: captured, transfer };
+};
@@ -0,0 +1,128 @@
+const Availability = require('../models/Availability');
+const ServiceRequest = require('../models/ServiceRequest');
+const AppError = require('./appError');
+const availabilityUtils = require('./availability');
+const bookingConfig = require('../config/booking');
+
+// Statuses in which a booking can still be moved to another time
+const RESCHEDULABLE_STATUSES = ['pending', 'accepted'];
+
+// Check a booking of service starting at start fits the provider's working hours.
+// Resolves to the booking's end time.
+const getBookingEnd = async (service, start) => {
+  if (isNaN(start.getTime()) || start < Date.now()) {
+    throw new AppError('Time slot must be in the future', 400);
+  }
+
+  const availability = await Availability.findOne({ provider: service.provider });
+  if (!availability) {
+    throw new AppError('This provider is not taking bookings yet', 400);
+  }
+
+  if (!availabilityUtils.isWithinWorkingHours(availability, start, service.duration_minutes)) {
+    throw new AppError('Time slot is outside the provider\'s working hours', 400);
+  }
+
+  return new Date(start.getTime() + service.duration_minutes * 60 * 1000);
+};
+
+// Run fn while holding the provider's booking lock, once no other booking overlaps
+// [start, end). excludeRequest leaves the request being moved out of the check.
+const withFreeSlot = (service, start, end, fn, { excludeRequest } = {}) =>
+  Availability.withBookingLock(service.provider, async () => {
+    const filter = availabilityUtils.overlapFilter(service.provider, start, end);
+    if (excludeRequest) filter._id = { $ne: excludeRequest };
+
+    if (await ServiceRequest.exists(filter)) {
+      throw new AppError('This time slot is no longer available', 409);
+    }
+    return fn();
+  });
+
+// Add a reschedule proposal to a request; the other party accepts or declines it.
+// serviceRequest.service has to be populated. The caller still has to save the document.
+const proposeReschedule = async (serviceRequest, { timeSlot, actor, role, reason }) => {
+  if (!RESCHEDULABLE_STATUSES.includes(serviceRequest.status)) {
+    throw new AppError(`Cannot reschedule a ${serviceRequest.status} request`, 400);
+  }
+  if (serviceRequest.reschedule_proposals.some(proposal => proposal.status === 'pending')) {
+    throw new AppError('There is already a reschedule proposal waiting for an answer', 400);
+  }
+
+  const start = new Date(timeSlot);
+  const end = await getBookingEnd(serviceRequest.service, start);
+
+  // Only checked here, the slot is not held until the proposal is accepted
+  const overlapping = await ServiceRequest.exists({
+    ...availabilityUtils.overlapFilter(serviceRequest.service.provider, start, end),
+    _id: { $ne: serviceRequest._id }
+  });
+  if (overlapping) {
+    throw new AppError('This time slot is not available', 409);
+  }
+
+  serviceRequest.reschedule_proposals.push({
+    proposed_by: actor,
+    proposed_by_role: role,
+    time_slot: start,
+    end_time: end,
+    reason
+  });
+
+  return serviceRequest.reschedule_proposals[serviceRequest.reschedule_proposals.length - 1];
+};
+
+// Accept or decline the pending reschedule proposal made by the other party. Accepting
+// re-checks availability and moves the booking. serviceRequest.service has to be populated.
+const respondToReschedule = async (serviceRequest, { accept, actor, role }) => {
+  const proposal = serviceRequest.reschedule_proposals.find(p => p.status === 'pending');
+
+  if (!proposal) {
+    throw new AppError('There is no reschedule proposal waiting for an answer', 404);
+  }
+  if (proposal.proposed_by_role === role) {
+    throw new AppError('You cannot answer your own reschedule proposal', 400);
+  }
+
+  proposal.responded_by = actor;
+  proposal.responded_at = Date.now();
+
+  if (!accept) {
+    proposal.status = 'declined';
+    return serviceRequest.save();
+  }
+
+  if (!RESCHEDULABLE_STATUSES.includes(serviceRequest.status)) {
+    throw new AppError(`Cannot reschedule a ${serviceRequest.status} request`, 400);
+  }
+
+  const service = serviceRequest.service;
+  const end = await getBookingEnd(service, proposal.time_slot);
+
+  return withFreeSlot(service, proposal.time_slot, end, () => {
+    proposal.status = 'accepted';
+    serviceRequest.time_slot = proposal.time_slot;
+    serviceRequest.end_time = end;
+    return serviceRequest.save();
+  }, { excludeRequest: serviceRequest._id });
+};
+
+// Fee in rupees a customer owes for cancelling the request now. Cancelling is free while
+// the provider has not accepted yet and until the free window before the time slot.
+const getCancellationFee = (serviceRequest, service, now = Date.now()) => {
+  const { freeWindow, lateFeePercent, minLateFee } = bookingConfig.cancellation;
+
+  if (serviceRequest.status !== 'accepted') return 0;
+  if (serviceRequest.time_slot.getTime() - now >= freeWindow * 60 * 60 * 1000) return 0;
+
+  // Whole paise, so the fee converts to an integer paise amount for the gateway
+  return Math.round(Math.max(service.price * lateFeePercent, minLateFee * 100)) / 100;
+};
+
+module.exports = {
+  getBookingEnd,
+  withFreeSlot,
+  proposeReschedule,
+  respondToReschedule,
+  getCancellationFee
+};
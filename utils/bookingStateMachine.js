@@ -0,0 +1,42 @@
+const AppError = require('./appError');
+
+// Every legal ServiceRequest status change: target status -> statuses it can be
+// reached from and the roles allowed to make it. 'system' is the background jobs.
+// afterStart transitions only make sense once the booked time slot has begun.
+const TRANSITIONS = {
+  accepted: { from: ['pending'], roles: ['provider'] },
+  rejected: { from: ['pending'], roles: ['provider'] },
+  in_progress: { from: ['accepted'], roles: ['provider'] },
+  completed: { from: ['in_progress'], roles: ['provider'] },
+  cancelled_by_customer: { from: ['pending', 'accepted'], roles: ['customer'] },
+  cancelled_by_provider: { from: ['pending', 'accepted'], roles: ['provider'] },
+  expired: { from: ['pending'], roles: ['system'] },
+  no_show: { from: ['accepted'], roles: ['provider'], afterStart: true }
+};
+
+const STATUSES = ['pending', ...Object.keys(TRANSITIONS)];
+
+// Throw an AppError unless role may move the request to the given status
+const assertTransition = (request, to, role) => {
+  const transition = TRANSITIONS[to];
+  const from = request.status;
+
+  if (!transition) {
+    throw new AppError(`Unknown request status: ${to}`, 400);
+  }
+  if (!transition.from.includes(from)) {
+    throw new AppError(`Cannot change request from ${from} to ${to}`, 400);
+  }
+  if (!transition.roles.includes(role)) {
+    throw new AppError(`A ${role} cannot change a request to ${to}`, 403);
+  }
+  if (transition.afterStart && request.time_slot > Date.now()) {
+    throw new AppError(`Cannot change request to ${to} before its time slot`, 400);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  assertTransition
+};
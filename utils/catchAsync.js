@@ -1,7 +1,7 @@
 const catchAsync=(fn)=> {
     return async(req, res, next) => {
         try {
-            fn(req, res, next)
+            await fn(req, res, next)
         } catch (error) {
             next(error)
         }
@@ -9,4 +9,4 @@ const catchAsync=(fn)=> {
     };
   };
 
-module.exports=catchAsync
\ No newline at end of file
+module.exports=catchAsync
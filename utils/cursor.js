@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+// Opaque cursor for keyset pagination: the sort value and _id of the last item of a page
+exports.encode = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id: String(id) })).toString('base64url');
+
+exports.decode = cursor => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) throw new Error('invalid id');
+    return { value: v, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+// $match stage selecting the items after a decoded cursor, for a sort on
+// { [field]: direction, _id: 1 }
+exports.afterCursor = (field, direction, { value, id }) => ({
+  $match: {
+    $or: [
+      { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+      { [field]: value, _id: { $gt: id } }
+    ]
+  }
+});
@@ -0,0 +1,4 @@
+// Escape user input for use as a literal inside a RegExp
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const logger = require('./logger');
+const AppError = require('./appError');
+const { images: imageConfig } = require('../config/storage');
+
+// Resize an uploaded image, generate its thumbnail and store both under folder.
+// Resolves to the fields of models/schemas/image.js.
+exports.saveImage = async (file, folder) => {
+  let image;
+  let thumbnail;
+
+  try {
+    // Re-encoding also strips metadata and rejects files that are not really images
+    image = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: imageConfig.maxWidth, withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer();
+
+    thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: imageConfig.thumbnailWidth, withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch (err) {
+    throw new AppError(`${file.originalname} is not a valid image`, 400);
+  }
+
+  const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const key = `${folder}/${name}.webp`;
+  const thumbnailKey = `${folder}/${name}-thumb.webp`;
+
+  await storage.save(key, image);
+  await storage.save(thumbnailKey, thumbnail);
+
+  return {
+    key,
+    thumbnail_key: thumbnailKey,
+    url: storage.getUrl(key),
+    thumbnail_url: storage.getUrl(thumbnailKey)
+  };
+};
+
+// Delete an image and its thumbnail; failures are logged, not thrown
+exports.removeImage = async image => {
+  if (!image) return;
+
+  try {
+    await Promise.all([storage.remove(image.key), storage.remove(image.thumbnail_key)]);
+  } catch (err) {
+    logger.error(`Failed to delete image ${image.key}: ${err.message}`);
+  }
+};
@@ -0,0 +1,99 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const LockoutEvent = require('../models/LockoutEvent');
+const logger = require('./logger');
+const { login: loginConfig } = require('../config/security');
+
+const accountKey = email => `account:${String(email).toLowerCase()}`;
+const ipKey = ip => `ip:${ip}`;
+
+// Seconds a counter still has to wait before the next attempt, 0 if none
+const secondsToWait = (attempt, now) => {
+  if (!attempt) return 0;
+
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    return Math.ceil((attempt.lockedUntil - now) / 1000);
+  }
+
+  const delayedFailures = attempt.failedCount - loginConfig.freeAttempts;
+  if (delayedFailures <= 0 || !attempt.lastFailedAt) return 0;
+
+  const delay = Math.min(loginConfig.baseDelay * 2 ** (delayedFailures - 1), loginConfig.maxDelay);
+  return Math.max(Math.ceil((attempt.lastFailedAt.getTime() + delay * 1000 - now) / 1000), 0);
+};
+
+// Count one failure for a key, locking it once it reaches the scope's limit
+const recordFailure = async (key, scope, { email, ip, userAgent, user }) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - loginConfig.attemptWindow * 60 * 1000);
+  const { maxAttempts, lockDuration } = loginConfig[scope];
+
+  // Start counting again when the last failure is older than the window
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        scope,
+        failedCount: {
+          $cond: [
+            { $lt: ['$lastFailedAt', windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$failedCount', 0] }, 1] }
+          ]
+        },
+        lastFailedAt: now
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failedCount < maxAttempts) return attempt;
+
+  // Lock the key and start a fresh count for when the lock ends
+  const lockedUntil = new Date(now.getTime() + lockDuration * 60 * 1000);
+  const locked = await LoginAttempt.findByIdAndUpdate(
+    attempt._id,
+    { lockedUntil, failedCount: 0 },
+    { new: true }
+  );
+
+  await LockoutEvent.create({
+    scope,
+    user: scope === 'account' && user ? user._id : undefined,
+    email,
+    ip,
+    userAgent,
+    failedCount: attempt.failedCount,
+    lockedUntil
+  });
+  logger.warn(`Login locked for ${key} until ${lockedUntil.toISOString()} after ${attempt.failedCount} failed attempts`);
+
+  return locked;
+};
+
+// Seconds the caller has to wait before trying to log in with this email from this IP, 0 if allowed
+exports.getRetryAfter = async (email, ip) => {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  return Math.max(0, ...attempts.map(attempt => secondsToWait(attempt, now)));
+};
+
+// Record a failed login against both the account and the IP. Resolves to whether
+// this failure locked either of them and the seconds until the next attempt is allowed.
+exports.recordFailedLogin = async ({ email, ip, userAgent, user }) => {
+  const details = { email: String(email).toLowerCase(), ip, userAgent, user };
+  const attempts = await Promise.all([
+    recordFailure(accountKey(email), 'account', details),
+    recordFailure(ipKey(ip), 'ip', details)
+  ]);
+
+  const now = new Date();
+  return {
+    locked: attempts.some(attempt => attempt.lockedUntil && attempt.lockedUntil > now),
+    retryAfter: Math.max(...attempts.map(attempt => secondsToWait(attempt, now)))
+  };
+};
+
+// Forget failures and lift any lockout of an account, after a successful login or a
+// password reset. The IP counter is left alone so one valid account cannot be used to reset it.
+exports.clearFailedLogins = email => LoginAttempt.deleteOne({ key: accountKey(email) });
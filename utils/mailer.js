@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const mailConfig = require('../config/mail');
+
+// A transport is any object with an async send({ from, to, subject, text }) method.
+// Plug a real one (SMTP, SES, ...) in with setTransport().
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    outbox,
+    send: async message => {
+      outbox.push({ ...message, sentAt: new Date() });
+    }
+  };
+};
+
+const transports = {
+  console: {
+    send: async message => {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  file: {
+    send: async message => {
+      await fs.promises.mkdir(path.dirname(mailConfig.outboxFile), { recursive: true });
+      await fs.promises.appendFile(
+        mailConfig.outboxFile,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+      );
+    }
+  },
+  memory: createMemoryTransport()
+};
+
+let transport = transports[mailConfig.transport];
+if (!transport) {
+  throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+}
+
+exports.createMemoryTransport = createMemoryTransport;
+
+exports.getTransport = () => transport;
+
+exports.setTransport = newTransport => {
+  transport = newTransport;
+};
+
+exports.sendMail = ({ to, subject, text }) => transport.send({
+  from: mailConfig.from,
+  to,
+  subject,
+  text
+});
@@ -0,0 +1,9 @@
+// Read page and limit from the query string, e.g. ?page=2&limit=20
+const getPagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = getPagination;
@@ -0,0 +1,29 @@
+const paymentConfig = require('../../config/payment');
+
+// A payment gateway implements (amounts in paise, ids are the gateway's):
+//   keyId                                                -> public key for the checkout
+//   createOrder({ amount, currency, receipt, notes })    -> Promise<order>
+//   fetchOrder(orderId)                                  -> Promise<order>
+//   fetchPayment(paymentId)                              -> Promise<payment>
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> true if the checkout signature is valid
+//   refund(paymentId, { amount, notes })                 -> Promise<refund>
+//   createContact({ name, email, phone, referenceId })   -> Promise<contact>
+//   createFundAccount({ contactId, name, ifsc, accountNumber }) -> Promise<fund account>
+//   validateFundAccount({ fundAccountId, notes })        -> Promise<fund account validation>
+//   createPayout({ fundAccountId, amount, mode, referenceId, notes, idempotencyKey }) -> Promise<payout>
+//   fetchPayout(payoutId)                                -> Promise<payout>
+// Entities keep the Razorpay field names (id, amount, status, order_id, ...). A fund
+// account validation is 'completed' with results.account_status 'active' once the
+// bank confirmed the account; until then it is 'created' and completes by webhook.
+// createPayout called again with the same idempotencyKey returns the payout made the
+// first time instead of paying twice.
+const gateways = {
+  razorpay: () => require('./razorpayGateway'),
+  mock: () => require('./mockGateway')
+};
+
+if (!gateways[paymentConfig.gateway]) {
+  throw new Error(`Unknown payment gateway: ${paymentConfig.gateway}`);
+}
+
+module.exports = gateways[paymentConfig.gateway]();
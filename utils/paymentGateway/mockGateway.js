@@ -0,0 +1,252 @@
+const signature = require('./signature');
+
+// In-process payment gateway for offline development and tests. Ids are
+// sequential so runs are repeatable; everything is kept in memory and lost on
+// restart. pay() stands in for the customer completing the checkout.
+const KEY_ID = 'rzp_mock_key';
+const KEY_SECRET = 'mock_secret';
+
+const state = {
+  counters: {},
+  orders: new Map(),
+  payments: new Map(),
+  refunds: new Map(),
+  contacts: new Map(),
+  fundAccounts: new Map(),
+  validations: new Map(),
+  payouts: new Map(),
+  payoutKeys: new Map(),
+  failures: new Map()
+};
+
+const nextId = prefix => {
+  state.counters[prefix] = (state.counters[prefix] || 0) + 1;
+  return `${prefix}_mock${String(state.counters[prefix]).padStart(8, '0')}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Errors look like the ones the Razorpay SDK rejects with
+const gatewayError = (description, statusCode = 400) => {
+  const err = new Error(description);
+  err.statusCode = statusCode;
+  err.error = { code: 'BAD_REQUEST_ERROR', description };
+  return err;
+};
+
+// Fail the next call of an operation (e.g. 'createPayout') with the given message
+const takeFailure = operation => {
+  const message = state.failures.get(operation);
+  if (message) {
+    state.failures.delete(operation);
+    throw gatewayError(message);
+  }
+};
+
+const find = (collection, id, entity) => {
+  const item = collection.get(id);
+  if (!item) throw gatewayError(`The id provided does not exist: ${entity} ${id}`);
+  return { ...item };
+};
+
+exports.keyId = KEY_ID;
+
+exports.createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  takeFailure('createOrder');
+  if (!Number.isInteger(amount) || amount < 100) {
+    throw gatewayError('Order amount must be at least 100 paise');
+  }
+
+  const order = {
+    id: nextId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt,
+    notes,
+    status: 'created',
+    attempts: 0,
+    created_at: now()
+  };
+  state.orders.set(order.id, order);
+  return { ...order };
+};
+
+exports.fetchOrder = async orderId => find(state.orders, orderId, 'order');
+
+exports.fetchPayment = async paymentId => find(state.payments, paymentId, 'payment');
+
+exports.verifyPaymentSignature = params => signature.verify(params, KEY_SECRET);
+
+exports.refund = async (paymentId, { amount, notes = {} } = {}) => {
+  takeFailure('refund');
+  const payment = state.payments.get(paymentId);
+  if (!payment || payment.status !== 'captured') {
+    throw gatewayError('Only captured payments can be refunded');
+  }
+
+  const refundAmount = amount === undefined ? payment.amount - payment.amount_refunded : amount;
+  if (refundAmount <= 0 || payment.amount_refunded + refundAmount > payment.amount) {
+    throw gatewayError('The refund amount is greater than the refundable amount');
+  }
+
+  const refund = {
+    id: nextId('rfnd'),
+    entity: 'refund',
+    amount: refundAmount,
+    currency: payment.currency,
+    payment_id: paymentId,
+    notes,
+    status: 'processed',
+    created_at: now()
+  };
+  state.refunds.set(refund.id, refund);
+
+  payment.amount_refunded += refundAmount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+  return { ...refund };
+};
+
+exports.createContact = async ({ name, email, phone, referenceId }) => {
+  takeFailure('createContact');
+  const contact = {
+    id: nextId('cont'),
+    entity: 'contact',
+    name,
+    email,
+    contact: phone,
+    type: 'vendor',
+    reference_id: referenceId,
+    active: true,
+    created_at: now()
+  };
+  state.contacts.set(contact.id, contact);
+  return { ...contact };
+};
+
+exports.createFundAccount = async ({ contactId, name, ifsc, accountNumber }) => {
+  takeFailure('createFundAccount');
+  if (!state.contacts.has(contactId)) {
+    throw gatewayError(`The id provided does not exist: contact ${contactId}`);
+  }
+
+  const fundAccount = {
+    id: nextId('fa'),
+    entity: 'fund_account',
+    contact_id: contactId,
+    account_type: 'bank_account',
+    bank_account: { name, ifsc, account_number: accountNumber },
+    active: true,
+    created_at: now()
+  };
+  state.fundAccounts.set(fundAccount.id, fundAccount);
+  return { ...fundAccount };
+};
+
+// Completes straight away and finds every account active
+exports.validateFundAccount = async ({ fundAccountId, notes = {} }) => {
+  takeFailure('validateFundAccount');
+  const fundAccount = state.fundAccounts.get(fundAccountId);
+  if (!fundAccount) {
+    throw gatewayError(`The id provided does not exist: fund account ${fundAccountId}`);
+  }
+
+  const validation = {
+    id: nextId('fav'),
+    entity: 'fund_account.validation',
+    fund_account: { ...fundAccount },
+    status: 'completed',
+    amount: 100,
+    currency: 'INR',
+    notes,
+    results: {
+      account_status: 'active',
+      registered_name: fundAccount.bank_account.name
+    },
+    created_at: now()
+  };
+  state.validations.set(validation.id, validation);
+  return { ...validation };
+};
+
+exports.createPayout = async ({ fundAccountId, amount, mode = 'IMPS', referenceId, notes = {}, idempotencyKey }) => {
+  takeFailure('createPayout');
+  if (idempotencyKey && state.payoutKeys.has(idempotencyKey)) {
+    return { ...state.payouts.get(state.payoutKeys.get(idempotencyKey)) };
+  }
+  if (!state.fundAccounts.has(fundAccountId)) {
+    throw gatewayError(`The id provided does not exist: fund account ${fundAccountId}`);
+  }
+
+  const payout = {
+    id: nextId('pout'),
+    entity: 'payout',
+    fund_account_id: fundAccountId,
+    amount,
+    currency: 'INR',
+    mode,
+    purpose: 'payout',
+    reference_id: referenceId,
+    notes,
+    status: 'processed',
+    utr: `MOCKUTR${String(state.counters.pout).padStart(8, '0')}`,
+    created_at: now()
+  };
+  state.payouts.set(payout.id, payout);
+  if (idempotencyKey) state.payoutKeys.set(idempotencyKey, payout.id);
+  return { ...payout };
+};
+
+exports.fetchPayout = async payoutId => find(state.payouts, payoutId, 'payout');
+
+// Mock only: complete the checkout of an order as the customer would. Returns
+// the fields the checkout hands to the client for processPaymentFromCustomerToMe.
+exports.pay = async (orderId, { method = 'upi', fail = false } = {}) => {
+  const order = state.orders.get(orderId);
+  if (!order) throw gatewayError(`The id provided does not exist: order ${orderId}`);
+  if (order.status === 'paid') throw gatewayError('Order is already paid');
+
+  const payment = {
+    id: nextId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: fail ? 'failed' : 'captured',
+    order_id: order.id,
+    method,
+    amount_refunded: 0,
+    refund_status: null,
+    captured: !fail,
+    notes: order.notes,
+    error_description: fail ? 'Payment declined by the mock gateway' : null,
+    created_at: now()
+  };
+  state.payments.set(payment.id, payment);
+
+  order.attempts += 1;
+  if (!fail) {
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+  }
+
+  return {
+    razorpay_order_id: order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: signature.sign(order.id, payment.id, KEY_SECRET)
+  };
+};
+
+// Mock only: make the next call of an operation fail, to exercise error handling
+exports.failNext = (operation, message = 'Mock gateway failure') => {
+  state.failures.set(operation, message);
+};
+
+// Mock only: forget everything
+exports.reset = () => {
+  state.counters = {};
+  ['orders', 'payments', 'refunds', 'contacts', 'fundAccounts', 'validations', 'payouts', 'payoutKeys', 'failures']
+    .forEach(collection => state[collection].clear());
+};
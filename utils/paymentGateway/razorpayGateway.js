@@ -0,0 +1,93 @@
+const Razorpay = require('razorpay');
+const paymentConfig = require('../../config/payment');
+const signature = require('./signature');
+
+// Payment gateway backed by the Razorpay API; payouts go through RazorpayX
+const { keyId, keySecret, accountNumber } = paymentConfig.razorpay;
+
+const razorpay = new Razorpay({
+  key_id: keyId,
+  key_secret: keySecret
+});
+
+exports.keyId = keyId;
+
+exports.createOrder = ({ amount, currency = 'INR', receipt, notes }) =>
+  razorpay.orders.create({
+    amount,
+    currency,
+    receipt,
+    notes,
+    payment_capture: 1
+  });
+
+exports.fetchOrder = orderId => razorpay.orders.fetch(orderId);
+
+exports.fetchPayment = paymentId => razorpay.payments.fetch(paymentId);
+
+exports.verifyPaymentSignature = params => signature.verify(params, keySecret);
+
+exports.refund = (paymentId, { amount, notes }) =>
+  razorpay.payments.refund(paymentId, { amount, notes });
+
+// Contacts and payouts are RazorpayX endpoints the SDK has no resource for
+exports.createContact = ({ name, email, phone, referenceId }) =>
+  razorpay.api.post({
+    url: '/contacts',
+    data: {
+      name,
+      email,
+      contact: phone,
+      type: 'vendor',
+      reference_id: referenceId
+    }
+  });
+
+exports.createFundAccount = ({ contactId, name, ifsc, accountNumber: bankAccountNumber }) =>
+  razorpay.fundAccount.create({
+    contact_id: contactId,
+    account_type: 'bank_account',
+    bank_account: {
+      name,
+      ifsc,
+      account_number: bankAccountNumber
+    }
+  });
+
+// Penny drop: sends 1 rupee to the account and reports whether the bank accepted it
+exports.validateFundAccount = ({ fundAccountId, notes }) =>
+  razorpay.api.post({
+    url: '/fund_accounts/validations',
+    data: {
+      account_number: accountNumber,
+      fund_account: { id: fundAccountId },
+      amount: 100,
+      currency: 'INR',
+      notes
+    }
+  });
+
+// The SDK only sets headers per client, so payouts get a client carrying their idempotency key
+const payoutClient = idempotencyKey => new Razorpay({
+  key_id: keyId,
+  key_secret: keySecret,
+  headers: { 'X-Payout-Idempotency': idempotencyKey }
+});
+
+exports.createPayout = ({ fundAccountId, amount, mode = 'IMPS', referenceId, notes, idempotencyKey }) =>
+  payoutClient(idempotencyKey).api.post({
+    url: '/payouts',
+    data: {
+      account_number: accountNumber,
+      fund_account_id: fundAccountId,
+      amount,
+      currency: 'INR',
+      mode,
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: referenceId,
+      notes
+    }
+  });
+
+exports.fetchPayout = payoutId => razorpay.api.get({ url: `/payouts/${payoutId}` });
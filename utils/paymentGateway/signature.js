@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Checkout signature: hex HMAC-SHA256 of "<order id>|<payment id>" with the key secret
+exports.sign = (orderId, paymentId, secret) =>
+  crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex');
+
+exports.verify = ({ orderId, paymentId, signature }, secret) => {
+  if (!orderId || !paymentId || !signature || !secret) return false;
+
+  const expected = Buffer.from(exports.sign(orderId, paymentId, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
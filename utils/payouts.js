@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const Transfer = require('../models/Transfer');
+const Payment = require('../models/Payment');
+const Bill = require('../models/Bill');
+const ServiceRequest = require('../models/ServiceRequest');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const paymentGateway = require('./paymentGateway');
+const logger = require('./logger');
+const payoutConfig = require('../config/payout');
+
+// Gateway payout statuses that mean the money did not go out
+const FAILED_PAYOUT_STATUSES = ['rejected', 'cancelled', 'failed', 'reversed'];
+
+// Request status after which a bill's earnings can be paid out, once holdPeriod has passed
+const RELEASE_STATUSES = {
+  service: 'completed',
+  cancellation_fee: 'cancelled_by_customer'
+};
+
+// Providers with transfers ready to be paid out, oldest first. Earnings are payable
+// once their payment is captured and their request reached the release status of
+// the bill at least holdPeriod hours ago; clawbacks are deducted from them. Filtering
+// happens in the query so transfers that are not payable never hold up others.
+// Returns { payable: [{ _id: provider, amount, transfers }], unverified: [{ _id: provider }] },
+// unverified being providers with money due but no verified bank details.
+exports.findPayable = async () => {
+  const now = new Date();
+  const holdUntil = new Date(now.getTime() - payoutConfig.holdPeriod * 60 * 60 * 1000);
+
+  const [result] = await Transfer.aggregate([
+    // 1. Transfers due a payout attempt: new ones and failed ones whose retry time has come
+    {
+      $match: {
+        $or: [
+          { status: 'created' },
+          { status: 'failed', next_attempt_at: { $lte: now } }
+        ]
+      }
+    },
+
+    // 2. The payment, bill and service request they were earned on
+    { $lookup: { from: Payment.collection.name, localField: 'payment', foreignField: '_id', as: 'payment' } },
+    { $unwind: '$payment' },
+    { $lookup: { from: Bill.collection.name, localField: 'payment.bill', foreignField: '_id', as: 'bill' } },
+    { $unwind: '$bill' },
+    {
+      $lookup: {
+        from: ServiceRequest.collection.name,
+        localField: 'bill.request',
+        foreignField: '_id',
+        as: 'request',
+        pipeline: [{ $project: { status: 1, status_history: 1 } }]
+      }
+    },
+    { $unwind: '$request' },
+    {
+      $addFields: {
+        released_at: {
+          $max: {
+            $map: {
+              input: { $filter: { input: '$request.status_history', cond: { $eq: ['$$this.to', '$request.status'] } } },
+              in: '$$this.at'
+            }
+          }
+        }
+      }
+    },
+
+    // 3. Keep payable earnings and all clawbacks
+    {
+      $match: {
+        $or: [
+          { type: 'clawback' },
+          {
+            'payment.status': { $in: ['captured', 'partially_refunded'] },
+            $or: [
+              { 'bill.type': { $ne: 'cancellation_fee' }, 'request.status': RELEASE_STATUSES.service },
+              { 'bill.type': 'cancellation_fee', 'request.status': RELEASE_STATUSES.cancellation_fee }
+            ],
+            released_at: { $lte: holdUntil }
+          }
+        ]
+      }
+    },
+
+    // 4. Net them per provider, skipping providers whose clawbacks exceed their earnings
+    {
+      $group: {
+        _id: '$provider',
+        amount: { $sum: '$amount' },
+        since: { $min: '$createdAt' },
+        transfers: { $push: { _id: '$_id', amount: '$amount', attempts: '$attempts' } }
+      }
+    },
+    { $match: { amount: { $gt: 0 } } },
+
+    // 5. Split on the provider's bank details being verified
+    {
+      $lookup: {
+        from: ProviderBankDetail.collection.name,
+        localField: '_id',
+        foreignField: 'provider',
+        as: 'bank',
+        pipeline: [{ $project: { verification_status: 1 } }]
+      }
+    },
+    {
+      $facet: {
+        payable: [
+          { $match: { 'bank.verification_status': 'verified' } },
+          { $sort: { since: 1 } },
+          { $limit: payoutConfig.batchSize },
+          { $project: { amount: 1, transfers: 1 } }
+        ],
+        unverified: [
+          { $match: { 'bank.verification_status': { $ne: 'verified' } } },
+          { $project: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Record a failed payout, retrying later with exponential backoff until
+// maxAttempts; after that the transfer waits for an admin to retry it
+const markFailed = async (transfers, reason) => {
+  for (const transfer of transfers) {
+    const retry = transfer.attempts < payoutConfig.maxAttempts;
+    const delay = payoutConfig.retryDelay * 2 ** Math.max(transfer.attempts - 1, 0);
+
+    await Transfer.updateOne(
+      { _id: transfer._id },
+      retry
+        ? { status: 'failed', failure_reason: reason, next_attempt_at: new Date(Date.now() + delay * 60 * 1000), updatedAt: Date.now() }
+        : { status: 'failed', failure_reason: reason, $unset: { next_attempt_at: 1 }, updatedAt: Date.now() }
+    );
+  }
+};
+
+exports.markFailed = markFailed;
+
+// Record a payout the gateway has completed
+exports.markPaid = (filter, payoutId) => Transfer.updateMany(filter, {
+  razorpay_payout_id: payoutId,
+  status: 'captured',
+  paid_at: Date.now(),
+  $unset: { failure_reason: 1, next_attempt_at: 1 },
+  updatedAt: Date.now()
+});
+
+// Apply the gateway's answer for a batch; payouts still in progress complete
+// through the webhook, or recoverStalled checks on them
+const applyPayout = async (batchId, transfers, payout) => {
+  if (FAILED_PAYOUT_STATUSES.includes(payout.status)) {
+    await markFailed(transfers, payout.failure_reason || `Payout ${payout.status}`);
+    throw new Error(`Payout ${payout.id} ${payout.status}`);
+  }
+
+  if (payout.status === 'processed') {
+    await exports.markPaid({ payout_batch: batchId }, payout.id);
+  } else {
+    await Transfer.updateMany(
+      { payout_batch: batchId },
+      { razorpay_payout_id: payout.id, updatedAt: Date.now() }
+    );
+  }
+};
+
+// Send the payout of a claimed batch. The batch id is the idempotency key, so
+// sending a batch again returns the payout already made for it instead of paying twice.
+const sendPayout = async (batchId, providerId, transfers, fundAccountId) => {
+  const amount = transfers.reduce((sum, t) => sum + t.amount, 0);
+
+  let payout;
+  try {
+    payout = await paymentGateway.createPayout({
+      fundAccountId,
+      amount,
+      mode: payoutConfig.mode,
+      referenceId: batchId,
+      idempotencyKey: batchId,
+      notes: {
+        batch_id: batchId,
+        provider_id: providerId.toString(),
+        transfers: String(transfers.length)
+      }
+    });
+  } catch (err) {
+    // Refused by the gateway, so no payout was made. Timeouts and gateway errors
+    // may have made one: the batch stays processing for recoverStalled to resend.
+    if (err.statusCode >= 400 && err.statusCode < 500) {
+      await markFailed(transfers, (err.error && err.error.description) || err.message);
+    }
+    throw err;
+  }
+
+  await applyPayout(batchId, transfers, payout);
+  return amount;
+};
+
+// Pay a provider's transfers out in one payout. Returns the amount paid in
+// paise, 0 when nothing was paid.
+exports.payProvider = async (providerId, transfers) => {
+  // 1. Provider needs verified bank details, findPayable reports those who have none
+  const bankDetails = await ProviderBankDetail.findOne({ provider: providerId });
+  if (!bankDetails || bankDetails.verification_status !== 'verified') return 0;
+
+  // 2. Claim the transfers so another run or an admin hold cannot touch them meanwhile
+  const batchId = crypto.randomUUID();
+  await Transfer.updateMany(
+    { _id: { $in: transfers.map(t => t._id) }, status: { $in: ['created', 'failed'] } },
+    { status: 'processing', payout_batch: batchId, $inc: { attempts: 1 }, updatedAt: Date.now() }
+  );
+  const claimed = await Transfer.find({ payout_batch: batchId, status: 'processing' });
+
+  // 3. Only pay out when earnings exceed clawbacks
+  if (claimed.reduce((sum, t) => sum + t.amount, 0) <= 0) {
+    await Transfer.updateMany(
+      { payout_batch: batchId, status: 'processing' },
+      { status: 'created', $unset: { payout_batch: 1 }, $inc: { attempts: -1 } }
+    );
+    return 0;
+  }
+
+  // 4. Make the payout
+  return sendPayout(batchId, providerId, claimed, bankDetails.razorpay_fund_id);
+};
+
+// Settle batches left processing for longer than processingTimeout: the job died
+// before the payout was sent, the gateway did not answer, or its webhook was lost.
+// Batches with a payout are checked with the gateway, the others are sent again
+// under the same idempotency key. Returns the number of batches settled.
+exports.recoverStalled = async () => {
+  const staleBefore = new Date(Date.now() - payoutConfig.processingTimeout * 60 * 1000);
+  const stalled = await Transfer.find({
+    status: 'processing',
+    payout_batch: { $exists: true },
+    updatedAt: { $lte: staleBefore }
+  });
+
+  // 1. Group per batch
+  const batches = new Map();
+  stalled.forEach(transfer => {
+    batches.set(transfer.payout_batch, [...(batches.get(transfer.payout_batch) || []), transfer]);
+  });
+
+  // 2. Check or resend each batch
+  let settled = 0;
+  for (const [batchId, transfers] of batches) {
+    const { provider, razorpay_payout_id: payoutId } = transfers[0];
+    try {
+      if (payoutId) {
+        await applyPayout(batchId, transfers, await paymentGateway.fetchPayout(payoutId));
+      } else {
+        const bankDetails = await ProviderBankDetail.findOne({ provider });
+        if (!bankDetails) {
+          // Nothing to send to: left failed for an admin to retry once the provider adds an account
+          await markFailed(transfers, 'No bank details');
+        } else {
+          await sendPayout(batchId, provider, transfers, bankDetails.razorpay_fund_id);
+        }
+      }
+      settled += 1;
+    } catch (err) {
+      logger.warn(`Stalled payout batch ${batchId} of provider ${provider}: ${err.message}`);
+    }
+  }
+
+  return settled;
+};
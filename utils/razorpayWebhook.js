@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const Refund = require('../models/Refund');
+const ProviderBankDetail = require('../models/ProviderBankDetails');
+const WebhookEvent = require('../models/WebhookEvent');
+const AppError = require('./appError');
+const billing = require('./billing');
+const refunds = require('./refunds');
+const payouts = require('./payouts');
+const logger = require('./logger');
+
+// Check X-Razorpay-Signature: hex HMAC-SHA256 of the raw request body with the webhook secret
+exports.verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(signature), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Our payment for a gateway payment entity: by order id, or by the bill id
+// passed in the order notes
+const findPayment = async entity => {
+  if (entity.order_id) {
+    const payment = await Payment.findOne({ razorpay_order_id: entity.order_id });
+    if (payment) return payment;
+  }
+  const billId = entity.notes && entity.notes.bill_id;
+  if (billId && mongoose.isValidObjectId(billId)) {
+    return Payment.findOne({ bill: billId });
+  }
+  return null;
+};
+
+// Our transfers for a gateway payout entity: by payout id, or by the batch or
+// transfer id in the payout notes
+const findTransfers = async entity => {
+  const transfers = await Transfer.find({ razorpay_payout_id: entity.id });
+  if (transfers.length) return transfers;
+
+  const notes = entity.notes || {};
+  if (notes.batch_id) {
+    return Transfer.find({ payout_batch: notes.batch_id });
+  }
+  if (notes.transfer_id && mongoose.isValidObjectId(notes.transfer_id)) {
+    return Transfer.find({ _id: notes.transfer_id });
+  }
+  return [];
+};
+
+// Our refund for a gateway refund entity: by refund id, by the refund id in
+// the notes, or recorded now for a refund made outside the app (e.g. the dashboard)
+const findRefund = async entity => {
+  const refund = await Refund.findOne({ razorpay_refund_id: entity.id });
+  if (refund) return refund;
+
+  const refundId = entity.notes && entity.notes.refund_id;
+  if (refundId && mongoose.isValidObjectId(refundId)) {
+    const noted = await Refund.findById(refundId);
+    if (noted) {
+      noted.razorpay_refund_id = entity.id;
+      return noted.save();
+    }
+  }
+
+  const payment = await Payment.findOne({ razorpay_payment_id: entity.payment_id });
+  if (!payment) return null;
+
+  return Refund.create({
+    payment: payment._id,
+    bill: payment.bill,
+    amount: entity.amount,
+    reason: 'Refunded outside the app',
+    status: 'pending',
+    requested_by_role: 'system',
+    razorpay_refund_id: entity.id
+  });
+};
+
+// Event handlers, each returns a note when the event was ignored
+const handlers = {
+  'payment.captured': async payload => {
+    const entity = payload.payment.entity;
+    const payment = await findPayment(entity);
+    if (!payment) return `No payment for order ${entity.order_id}`;
+
+    if (entity.amount !== Math.round(payment.amount)) {
+      logger.warn(`Captured amount ${entity.amount} of ${entity.id} does not match payment ${payment._id} of ${payment.amount}`);
+      return 'Amount mismatch';
+    }
+
+    const result = await billing.capturePayment(payment, {
+      orderId: entity.order_id,
+      paymentId: entity.id,
+      method: entity.method
+    });
+    if (!result) return 'Payment already captured';
+  },
+
+  'payment.failed': async payload => {
+    const entity = payload.payment.entity;
+    const payment = await findPayment(entity);
+    if (!payment) return `No payment for order ${entity.order_id}`;
+
+    // A later attempt on the same order may still succeed
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'failed'] } },
+      {
+        razorpay_payment_id: entity.id,
+        status: 'failed',
+        failure_reason: entity.error_description || entity.error_code,
+        updatedAt: Date.now()
+      }
+    );
+    if (!failed) return `Payment is already ${payment.status}`;
+  },
+
+  'refund.processed': async payload => {
+    const entity = payload.refund.entity;
+    const refund = await findRefund(entity);
+    if (!refund) return `No payment for ${entity.payment_id}`;
+
+    const processed = await refunds.completeRefund(refund);
+    if (!processed) return 'Refund already processed';
+  },
+
+  'refund.failed': async payload => {
+    const entity = payload.refund.entity;
+    const refund = await findRefund(entity);
+    if (!refund) return `No payment for ${entity.payment_id}`;
+    if (refund.status === 'processed') return 'Refund already processed';
+
+    refund.status = 'failed';
+    refund.failure_reason = entity.error_description || 'Refund failed at the gateway';
+    await refund.save();
+  },
+
+  'payout.processed': async payload => {
+    const entity = payload.payout.entity;
+    const transfers = await findTransfers(entity);
+    if (!transfers.length) return `No transfer for payout ${entity.id}`;
+
+    await payouts.markPaid({ _id: { $in: transfers.map(t => t._id) } }, entity.id);
+  }
+};
+
+// A bank account check finished: the account is verified, or the provider has to fix it
+const fundAccountValidated = async payload => {
+  const entity = payload['fund_account.validation'].entity;
+  const bankDetails = await ProviderBankDetail.findOne({ razorpay_validation_id: entity.id });
+  if (!bankDetails) return `No bank details for validation ${entity.id}`;
+  if (bankDetails.verified_by) return 'Bank details verified by an admin';
+
+  bankDetails.verification_status = ProviderBankDetail.statusFromValidation(entity);
+  bankDetails.verification_note = bankDetails.verification_status === 'failed'
+    ? `Bank reported the account ${(entity.results && entity.results.account_status) || entity.status}`
+    : undefined;
+  await bankDetails.save();
+};
+handlers['fund_account.validation.completed'] = fundAccountValidated;
+handlers['fund_account.validation.failed'] = fundAccountValidated;
+
+// A failed and a reversed payout both leave the provider unpaid, the payout job retries them
+const payoutFailed = async payload => {
+  const entity = payload.payout.entity;
+  const transfers = await findTransfers(entity);
+  if (!transfers.length) return `No transfer for payout ${entity.id}`;
+
+  await Transfer.updateMany(
+    { _id: { $in: transfers.map(t => t._id) } },
+    { razorpay_payout_id: entity.id }
+  );
+  await payouts.markFailed(transfers, entity.failure_reason || `Payout ${entity.status}`);
+};
+handlers['payout.failed'] = payoutFailed;
+handlers['payout.reversed'] = payoutFailed;
+
+exports.EVENTS = Object.keys(handlers);
+
+// How long a delivery holds an event while applying it. When a delivery dies
+// mid-handler the hold runs out and the gateway's retry applies the event.
+const LEASE_MS = 60 * 1000;
+
+// Store and apply a webhook event once per event id. Events not processed yet,
+// failed or left half-applied, are applied again when the gateway retries them;
+// repeats of processed events are skipped.
+exports.processEvent = async (eventId, body) => {
+  // 1. Store the event the first time it is delivered
+  try {
+    await WebhookEvent.create({ event_id: eventId, event: body.event, payload: body });
+  } catch (err) {
+    // Stored by an earlier or a concurrent delivery
+    if (err.code !== 11000) throw err;
+  }
+
+  // 2. Claim the event, unless it is done or another delivery is applying it
+  const now = Date.now();
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      event_id: eventId,
+      status: { $in: ['received', 'failed'] },
+      $or: [{ locked_until: { $exists: false } }, { locked_until: { $lte: new Date(now) } }]
+    },
+    { locked_until: new Date(now + LEASE_MS), $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    const existing = await WebhookEvent.findOne({ event_id: eventId });
+    if (existing && ['processed', 'ignored'].includes(existing.status)) {
+      return { event: existing, duplicate: true };
+    }
+    // Not answered with success so the gateway delivers it again later
+    throw new AppError('Event is being processed, retry later', 409);
+  }
+
+  // 3. Apply it and release the claim
+  const handler = handlers[body.event];
+  try {
+    const note = handler ? await handler(body.payload || {}) : 'Event type not handled';
+    event.status = note ? 'ignored' : 'processed';
+    event.note = note;
+    event.processed_at = Date.now();
+    event.locked_until = undefined;
+    await event.save();
+  } catch (err) {
+    event.status = 'failed';
+    event.note = err.message;
+    event.locked_until = undefined;
+    await event.save();
+    throw err;
+  }
+
+  return { event, duplicate: false };
+};
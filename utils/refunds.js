@@ -0,0 +1,126 @@
+const Payment = require('../models/Payment');
+const Bill = require('../models/Bill');
+const Transfer = require('../models/Transfer');
+const Refund = require('../models/Refund');
+const AppError = require('./appError');
+const paymentGateway = require('./paymentGateway');
+
+// Payment statuses money can still be refunded from
+exports.REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+// Whole paise of a payment not refunded yet and not held by a refund on its way.
+// Older payments can hold fractions of a paisa, the gateway only refunds whole ones.
+const refundableAmount = async payment => {
+  const [reserved] = await Refund.aggregate([
+    { $match: { payment: payment._id, status: { $in: ['pending', 'processed'] } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return Math.round(payment.amount) - (reserved ? reserved.total : 0);
+};
+
+exports.refundableAmount = refundableAmount;
+
+// Take the provider's share of a refund out of their transfer: reduce it while
+// it is unpaid, otherwise claw it back from their next payout
+const adjustTransfers = async (payment, refund) => {
+  const providerShare = Math.round(refund.amount * (payment.amount - payment.platform_fee) / payment.amount);
+  if (providerShare <= 0) return;
+
+  const transfer = await Transfer.findOne({ payment: payment._id, type: 'payout' });
+  if (!transfer) return;
+
+  let remaining = providerShare;
+  if (Transfer.UNPAID_STATUSES.includes(transfer.status)) {
+    const reduction = Math.min(remaining, transfer.amount);
+    transfer.amount -= reduction;
+    transfer.adjustments.push({ refund: refund._id, amount: -reduction });
+    if (transfer.amount === 0) transfer.status = 'cancelled';
+    transfer.updatedAt = Date.now();
+    await transfer.save();
+    remaining -= reduction;
+  }
+
+  if (remaining > 0) {
+    await Transfer.create({
+      payment: payment._id,
+      provider: transfer.provider,
+      amount: -remaining,
+      type: 'clawback',
+      refund: refund._id,
+      status: 'created'
+    });
+  }
+};
+
+// Apply a refund the gateway has processed: payment, bill and the provider's
+// transfer. Safe to call more than once for the same refund.
+exports.completeRefund = async refund => {
+  // 1. Only once per refund
+  const processed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $ne: 'processed' } },
+    { status: 'processed', processed_at: Date.now() },
+    { new: true }
+  );
+  if (!processed) return null;
+
+  // 2. Update payment and bill status
+  const payment = await Payment.findByIdAndUpdate(
+    processed.payment,
+    { $inc: { amount_refunded: processed.amount } },
+    { new: true }
+  );
+  const status = payment.amount_refunded >= Math.round(payment.amount) ? 'refunded' : 'partially_refunded';
+  await Payment.updateOne({ _id: payment._id }, { status, updatedAt: Date.now() });
+  await Bill.findByIdAndUpdate(payment.bill, { status });
+
+  // 3. Reduce or claw back the provider's transfer
+  await adjustTransfers(payment, processed);
+
+  return processed;
+};
+
+// Send an approved refund to the gateway
+exports.sendRefund = async (refund, { actor }) => {
+  const payment = await Payment.findById(refund.payment);
+  if (!exports.REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new AppError(`Payment is ${payment.status.replace('_', ' ')} and cannot be refunded`, 400);
+  }
+
+  // 1. Hold the amount, then check no other refund took it in the meantime
+  refund.set({ status: 'pending', reviewed_by: actor, reviewed_at: Date.now() });
+  await refund.save();
+
+  if (await refundableAmount(payment) < 0) {
+    refund.status = 'failed';
+    refund.failure_reason = 'Amount no longer refundable';
+    await refund.save();
+    throw new AppError('Refund amount is more than the amount left to refund', 400);
+  }
+
+  // 2. Ask the gateway for the refund
+  let gatewayRefund;
+  try {
+    gatewayRefund = await paymentGateway.refund(payment.razorpay_payment_id, {
+      amount: refund.amount,
+      notes: {
+        refund_id: refund._id.toString(),
+        bill_id: payment.bill.toString()
+      }
+    });
+  } catch (err) {
+    const reason = (err.error && err.error.description) || err.message;
+    refund.status = 'failed';
+    refund.failure_reason = reason;
+    await refund.save();
+    throw new AppError(`Refund failed: ${reason}`, 502);
+  }
+
+  refund.razorpay_refund_id = gatewayRefund.id;
+  await refund.save();
+
+  // 3. Instant refunds are done, others complete with the refund.processed webhook
+  if (gatewayRefund.status === 'processed') {
+    return (await exports.completeRefund(refund)) || refund;
+  }
+  return refund;
+};
@@ -0,0 +1,84 @@
+const ServiceRequest = require('../models/ServiceRequest');
+const AppError = require('./appError');
+const catchAsync = require('./catchAsync');
+const booking = require('./booking');
+
+// Who may reschedule a request as each role, and who answers their proposals
+const PARTIES = {
+  customer: {
+    owns: (serviceRequest, user) => serviceRequest.customer.toString() === user.id,
+    other: 'provider'
+  },
+  provider: {
+    owns: (serviceRequest, user) => serviceRequest.service.provider.toString() === user.id,
+    other: 'customer'
+  }
+};
+
+// Service request with service details, when the user is the given party to it
+const findOwnRequest = async (id, user, party) => {
+  const serviceRequest = await ServiceRequest.findById(id).populate('service');
+  if (!serviceRequest) {
+    throw new AppError('Service request not found', 404);
+  }
+  if (!party.owns(serviceRequest, user)) {
+    throw new AppError('Not authorized to reschedule this request', 403);
+  }
+  return serviceRequest;
+};
+
+// Reschedule handlers for the customer or the provider side of a booking
+module.exports = role => {
+  const party = PARTIES[role];
+
+  const proposeReschedule = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const { time_slot, reason } = req.body;
+
+    if (!time_slot) {
+      return next(new AppError('Please provide the new time slot', 400));
+    }
+
+    // 1. Find the service request and verify ownership
+    const serviceRequest = await findOwnRequest(id, req.user, party);
+
+    // 2. Add the proposal for the other party to answer
+    const proposal = await booking.proposeReschedule(serviceRequest, {
+      timeSlot: time_slot,
+      actor: req.user._id,
+      role,
+      reason
+    });
+    await serviceRequest.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Reschedule proposed. Waiting for the ${party.other} to respond.`,
+      data: proposal
+    });
+  });
+
+  // Handler accepting or declining the other party's pending reschedule proposal
+  const respondToReschedule = accept => catchAsync(async (req, res, next) => {
+    // 1. Find the service request and verify ownership
+    const serviceRequest = await findOwnRequest(req.params.id, req.user, party);
+
+    // 2. Answer the proposal, moving the booking if accepted
+    await booking.respondToReschedule(serviceRequest, { accept, actor: req.user._id, role });
+
+    res.status(200).json({
+      status: 'success',
+      message: accept ? 'Reschedule accepted' : 'Reschedule declined',
+      data: {
+        request_id: serviceRequest._id,
+        time_slot: serviceRequest.time_slot
+      }
+    });
+  });
+
+  return {
+    proposeReschedule,
+    acceptReschedule: respondToReschedule(true),
+    declineReschedule: respondToReschedule(false)
+  };
+};
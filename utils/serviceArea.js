@@ -0,0 +1,119 @@
+const Service = require('../models/Service');
+
+const EARTH_RADIUS_KM = 6371;
+const CIRCLE_STEPS = 64;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Polygon approximating a circle of radiusKm around a [longitude, latitude] point
+const circlePolygon = ([longitude, latitude], radiusKm) => {
+  const distance = radiusKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(latitude);
+  const lng1 = toRadians(longitude);
+  const ring = [];
+
+  for (let step = 0; step < CIRCLE_STEPS; step++) {
+    const bearing = 2 * Math.PI * step / CIRCLE_STEPS;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(distance) +
+      Math.cos(lat1) * Math.sin(distance) * Math.cos(bearing)
+    );
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(distance) * Math.cos(lat1),
+      Math.cos(distance) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([
+      Number(((toDegrees(lng2) + 540) % 360 - 180).toFixed(6)),
+      Number(toDegrees(lat2).toFixed(6))
+    ]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+exports.circlePolygon = circlePolygon;
+
+const isPosition = position =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  position.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+const isRing = ring =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+// Check a GeoJSON area drawn by a provider, returns an error message or null
+exports.validateArea = area => {
+  if (!area || typeof area !== 'object') {
+    return 'Service area must be a GeoJSON Polygon or MultiPolygon';
+  }
+  if (area.type === 'Polygon' && isPolygon(area.coordinates)) return null;
+  if (area.type === 'MultiPolygon' &&
+    Array.isArray(area.coordinates) && area.coordinates.length > 0 && area.coordinates.every(isPolygon)) {
+    return null;
+  }
+  return 'Service area must be a GeoJSON Polygon or MultiPolygon of closed [longitude, latitude] rings with at least 4 positions';
+};
+
+// Check MongoDB accepts an area that passed validateArea. Rings crossing
+// themselves are only caught by the geometry checks of the 2dsphere index, so the
+// area is tried in a query, which runs the same checks, before anything stores it.
+// Returns an error message or null.
+exports.checkArea = async area => {
+  try {
+    await Service.exists({ service_area: { $geoIntersects: { $geometry: area } } });
+    return null;
+  } catch (err) {
+    if (err.name !== 'MongoServerError') throw err;
+    return `Service area is not a valid shape: ${err.message}`;
+  }
+};
+
+// Area a service covers from its location and the provider's profile: the
+// drawn polygon when there is one, otherwise a circle of the travel radius.
+// Undefined when the provider has set neither.
+const areaFor = (location, profile) => {
+  if (profile && profile.service_area && profile.service_area.type) {
+    return { type: profile.service_area.type, coordinates: profile.service_area.coordinates };
+  }
+  if (profile && profile.service_radius_km && location && location.coordinates && location.coordinates.length === 2) {
+    return circlePolygon(location.coordinates, profile.service_radius_km);
+  }
+  return undefined;
+};
+
+exports.areaFor = areaFor;
+
+// Recompute the area of every service of a provider after their profile changed
+exports.syncProviderServices = async provider => {
+  const services = await Service.find({ provider: provider._id }).select('location');
+  if (!services.length) return;
+
+  await Service.bulkWrite(services.map(service => {
+    const area = areaFor(service.location, provider.provider_profile);
+    return {
+      updateOne: {
+        filter: { _id: service._id },
+        update: area ? { $set: { service_area: area } } : { $unset: { service_area: 1 } }
+      }
+    };
+  }));
+};
+
+// Query matching services whose area covers a [longitude, latitude] point.
+// Services without an area keep being matched by distance alone.
+exports.coveringFilter = coordinates => ({
+  $or: [
+    { service_area: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } } },
+    { service_area: { $exists: false } }
+  ]
+});
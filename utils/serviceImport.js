@@ -0,0 +1,265 @@
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const AppError = require('./appError');
+const csv = require('./csv');
+const { validateServiceFields } = require('./serviceValidation');
+const serviceArea = require('./serviceArea');
+const { csvImport: importConfig } = require('../config/storage');
+
+// Columns of the service catalogue file, in export order. service_id is empty
+// for new services; parent_name links a child service to its parent by name.
+const COLUMNS = [
+  'service_id',
+  'name',
+  'parent_name',
+  'category',
+  'description',
+  'price',
+  'duration_minutes',
+  'address',
+  'location_latitude',
+  'location_longitude'
+];
+const REQUIRED_COLUMNS = ['name', 'price', 'address', 'location_latitude', 'location_longitude'];
+
+exports.COLUMNS = COLUMNS;
+
+const nameKey = name => name.trim().toLowerCase();
+
+// Read an uploaded CSV file into rows of { row, fields } keyed by column name
+exports.readRows = text => {
+  let lines;
+  try {
+    lines = csv.parse(text);
+  } catch (err) {
+    throw new AppError(`Could not read the CSV file: ${err.message}`, 400);
+  }
+
+  const [header, ...values] = lines;
+  if (!header) {
+    throw new AppError('The CSV file is empty', 400);
+  }
+
+  // 1. Check the header row
+  const columns = header.map(column => column.trim().toLowerCase());
+  const unknown = columns.filter(column => !COLUMNS.includes(column));
+  if (unknown.length) {
+    throw new AppError(`Unknown columns: ${unknown.join(', ')}. Allowed columns are ${COLUMNS.join(', ')}`, 400);
+  }
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length) {
+    throw new AppError(`Missing columns: ${missing.join(', ')}`, 400);
+  }
+
+  // 2. Check the number of rows
+  if (!values.length) {
+    throw new AppError('The CSV file has no services', 400);
+  }
+  if (values.length > importConfig.maxRows) {
+    throw new AppError(`A CSV file can hold at most ${importConfig.maxRows} services`, 400);
+  }
+
+  return values.map((rowValues, index) => ({
+    row: index + 1,
+    fields: Object.fromEntries(columns.map((column, i) => [column, (rowValues[i] || '').trim()]))
+  }));
+};
+
+// Validate every row against the provider's current catalogue and work out
+// what importing it would do. Nothing is written; rows with problems carry
+// their errors.
+exports.planImport = async (providerId, rows) => {
+  // 1. Load the provider's catalogue
+  const existing = await Service.find({ provider: providerId });
+  const existingById = new Map(existing.map(service => [service.id, service]));
+  const existingByName = new Map();
+  existing
+    .filter(service => service.status !== 'taken_down')
+    .forEach(service => {
+      const key = nameKey(service.name);
+      existingByName.set(key, [...(existingByName.get(key) || []), service]);
+    });
+
+  // Parent links as they will be after the import, to catch cycles
+  const parentOf = new Map(existing.map(service => [
+    service.id,
+    service.parent_service ? service.parent_service.toString() : null
+  ]));
+
+  const categories = new Map();
+  const resolveCategory = async value => {
+    const key = value.toLowerCase();
+    if (!categories.has(key)) categories.set(key, await Category.resolve(value));
+    return categories.get(key);
+  };
+
+  const plan = [];
+  const lastEntryByName = new Map();
+  const seenIds = new Set();
+
+  for (const { row, fields } of rows) {
+    const entry = {
+      row,
+      name: fields.name,
+      action: fields.service_id ? 'update' : 'create',
+      service_id: fields.service_id || undefined,
+      key: fields.service_id || `row:${row}`,
+      fields,
+      errors: []
+    };
+
+    // 2. Existing service being edited
+    if (fields.service_id) {
+      const current = existingById.get(fields.service_id);
+      if (!current) {
+        entry.errors.push('Service not found among your services');
+      } else if (current.status === 'taken_down') {
+        entry.errors.push('Service has been taken down and cannot be edited');
+      }
+      if (seenIds.has(fields.service_id)) {
+        entry.errors.push('Service appears more than once in the file');
+      }
+      seenIds.add(fields.service_id);
+    }
+
+    // 3. Parent service: the closest row above with that name, otherwise one of my services
+    if (fields.parent_name) {
+      const earlier = lastEntryByName.get(nameKey(fields.parent_name));
+      const matches = existingByName.get(nameKey(fields.parent_name)) || [];
+
+      if (earlier) {
+        entry.parent = { key: earlier.key, category: earlier.category };
+        if (earlier.errors.length) {
+          entry.errors.push(`Parent service (row ${earlier.row}) has errors`);
+        }
+      } else if (matches.length === 1) {
+        entry.parent = { key: matches[0].id, category: matches[0].category };
+      } else if (matches.length > 1) {
+        entry.errors.push(`Parent service name "${fields.parent_name}" is ambiguous. List the parent in the file above its child services`);
+      } else {
+        entry.errors.push(`Parent service "${fields.parent_name}" not found in the file or among your services`);
+      }
+    }
+
+    // 4. Same field rules as creating a service one at a time
+    entry.errors.push(...validateServiceFields(
+      { ...fields, duration_minutes: fields.duration_minutes || undefined },
+      { isChild: Boolean(fields.parent_name) }
+    ));
+
+    // 5. Category, child services share the one of their parent
+    if (entry.parent) {
+      entry.category = entry.parent.category;
+    } else if (!fields.parent_name && fields.category) {
+      const categoryDoc = await resolveCategory(fields.category);
+      if (categoryDoc) {
+        entry.category = categoryDoc._id;
+      } else {
+        entry.errors.push('Invalid category. Please choose one of the active categories');
+      }
+    }
+
+    // 6. A service cannot end up below itself
+    parentOf.set(entry.key, entry.parent ? entry.parent.key : null);
+    for (let key = parentOf.get(entry.key), depth = 0; key && depth <= parentOf.size; key = parentOf.get(key), depth++) {
+      if (key === entry.key) {
+        entry.errors.push('A service cannot be placed below itself or one of its child services');
+        break;
+      }
+    }
+
+    if (fields.name) lastEntryByName.set(nameKey(fields.name), entry);
+    plan.push(entry);
+  }
+
+  return plan;
+};
+
+// Per-row summary of a plan for the API response
+exports.toReport = plan => plan.map(({ row, name, action, service_id, errors }) => ({
+  row,
+  name,
+  action,
+  service_id,
+  errors
+}));
+
+// Write a plan without errors: rows in file order, so parents exist before their child services
+exports.applyImport = async (provider, plan) => {
+  const idByKey = new Map();
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of plan) {
+    const { fields } = entry;
+    const data = {
+      name: fields.name,
+      description: fields.description,
+      price: Number(fields.price),
+      address: fields.address,
+      location: {
+        type: 'Point',
+        coordinates: [
+          parseFloat(fields.location_longitude),
+          parseFloat(fields.location_latitude)
+        ]
+      },
+      parent_service: entry.parent ? (idByKey.get(entry.parent.key) || entry.parent.key) : null,
+      category: entry.category
+    };
+    if (fields.duration_minutes) data.duration_minutes = Number(fields.duration_minutes);
+    const area = serviceArea.areaFor(data.location, provider.provider_profile);
+    if (area) data.service_area = area;
+
+    if (entry.service_id) {
+      await Service.findByIdAndUpdate(entry.service_id, data, { runValidators: true });
+      // Keep child services left out of the file in the same category
+      await Service.updateMany({ parent_service: entry.service_id }, { category: entry.category });
+      idByKey.set(entry.key, entry.service_id);
+      updated++;
+    } else {
+      const service = await Service.create({ ...data, provider: provider._id });
+      idByKey.set(entry.key, service._id);
+      created++;
+    }
+  }
+
+  return { created, updated };
+};
+
+// CSV of a provider's services, parents followed by their child services
+exports.toCsv = services => {
+  const childrenOf = new Map();
+  const byId = new Map(services.map(service => [service.id, service]));
+  const roots = [];
+
+  services.forEach(service => {
+    const parentId = service.parent_service && service.parent_service.toString();
+    if (parentId && byId.has(parentId)) {
+      childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), service]);
+    } else {
+      roots.push(service);
+    }
+  });
+
+  const rows = [];
+  const addRow = (service, parent) => {
+    const [longitude, latitude] = service.location.coordinates;
+    rows.push([
+      service.id,
+      service.name,
+      parent ? parent.name : '',
+      !parent && service.category ? service.category.slug : '',
+      service.description,
+      service.price,
+      service.duration_minutes,
+      service.address,
+      latitude,
+      longitude
+    ]);
+    (childrenOf.get(service.id) || []).forEach(child => addRow(child, service));
+  };
+  roots.forEach(service => addRow(service, null));
+
+  return csv.stringify([COLUMNS, ...rows]);
+};
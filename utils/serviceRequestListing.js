@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const AppError = require('./appError');
+const { STATUSES } = require('./bookingStateMachine');
+
+// Turn ?status=pending,accepted&from=2025-01-01&to=2025-01-31&service=<id>
+// into a ServiceRequest filter, throwing an AppError on bad input
+exports.buildFilter = ({ status, from, to, service }) => {
+  const filter = {};
+
+  if (status) {
+    const statuses = String(status).split(',');
+    const invalid = statuses.filter(s => !STATUSES.includes(s));
+    if (invalid.length) {
+      throw new AppError(`Invalid status: ${invalid.join(', ')}`, 400);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  if (from || to) {
+    filter.time_slot = {};
+    if (from) {
+      if (isNaN(Date.parse(from))) throw new AppError('Invalid from date', 400);
+      filter.time_slot.$gte = new Date(from);
+    }
+    if (to) {
+      if (isNaN(Date.parse(to))) throw new AppError('Invalid to date', 400);
+      filter.time_slot.$lte = new Date(to);
+    }
+  }
+
+  if (service) {
+    if (!mongoose.isValidObjectId(service)) throw new AppError('Invalid service id', 400);
+    filter.service = new mongoose.Types.ObjectId(service);
+  }
+
+  return filter;
+};
+
+// One page of requests matching filter, newest time slot first, each joined with its
+// service, the counterpart user (found at counterpartPath) and its bill and payment status
+exports.findPage = async (filter, counterpartPath, { skip, limit }) => {
+  const [result] = await ServiceRequest.aggregate([
+    { $match: filter },
+    { $sort: { time_slot: -1, _id: -1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        data: [
+          { $skip: skip },
+          { $limit: limit },
+          { $lookup: { from: 'services', localField: 'service', foreignField: '_id', as: 'service' } },
+          { $unwind: { path: '$service', preserveNullAndEmptyArrays: true } },
+          { $lookup: { from: 'users', localField: counterpartPath, foreignField: '_id', as: 'counterpart' } },
+          { $unwind: { path: '$counterpart', preserveNullAndEmptyArrays: true } },
+          { $lookup: { from: 'bills', localField: '_id', foreignField: 'request', as: 'bill' } },
+          { $unwind: { path: '$bill', preserveNullAndEmptyArrays: true } },
+          { $lookup: { from: 'payments', localField: 'bill._id', foreignField: 'bill', as: 'payment' } },
+          { $unwind: { path: '$payment', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              request_id: '$_id',
+              status: 1,
+              time_slot: 1,
+              end_time: 1,
+              address: { $ifNull: ['$address', null] },
+              createdAt: 1,
+              service: {
+                service_id: '$service._id',
+                name: '$service.name',
+                price: '$service.price',
+                address: '$service.address'
+              },
+              counterpart: {
+                user_id: '$counterpart._id',
+                name: '$counterpart.name',
+                email: '$counterpart.email',
+                phone_number: '$counterpart.phone_number',
+                address: '$counterpart.address'
+              },
+              bill: {
+                bill_id: '$bill._id',
+                amount: '$bill.amount',
+                status: { $ifNull: ['$bill.status', 'not_generated'] }
+              },
+              payment_status: { $ifNull: ['$payment.status', null] }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    data: result.data
+  };
+};
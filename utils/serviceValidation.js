@@ -0,0 +1,40 @@
+// Field rules shared by service creation and the CSV import. Returns the list
+// of problems found, empty when the fields are valid.
+exports.validateServiceFields = ({
+  name,
+  price,
+  location_latitude,
+  location_longitude,
+  address,
+  category,
+  duration_minutes
+}, { isChild = false } = {}) => {
+  const errors = [];
+
+  // Validate required fields
+  if (!name || !price || !location_latitude || !location_longitude || !address) {
+    errors.push('Please provide all required fields');
+  }
+
+  // Validate category for parent service only
+  if (!isChild && !category) {
+    errors.push('Please provide a category for the service');
+  }
+
+  // Validate coordinates
+  if (isNaN(location_latitude) || isNaN(location_longitude)) {
+    errors.push('Invalid coordinates');
+  }
+
+  // Validate price
+  if (price && !(Number(price) > 0)) {
+    errors.push('Price must be greater than 0');
+  }
+
+  // Validate duration
+  if (duration_minutes !== undefined && !(Number(duration_minutes) >= 5)) {
+    errors.push('Duration must be at least 5 minutes');
+  }
+
+  return errors;
+};
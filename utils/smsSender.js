@@ -0,0 +1,38 @@
+const logger = require('./logger');
+const verificationConfig = require('../config/verification');
+
+// A transport is any object with an async send({ to, text }) method.
+// Plug a real SMS gateway in with setTransport().
+const createMemoryTransport = () => {
+  const messages = [];
+  return {
+    messages,
+    send: async message => {
+      messages.push({ ...message, sentAt: new Date() });
+    }
+  };
+};
+
+const transports = {
+  console: {
+    send: async message => {
+      logger.info(`SMS to ${message.to}: ${message.text}`);
+    }
+  },
+  memory: createMemoryTransport()
+};
+
+let transport = transports[verificationConfig.smsTransport];
+if (!transport) {
+  throw new Error(`Unknown SMS transport: ${verificationConfig.smsTransport}`);
+}
+
+exports.createMemoryTransport = createMemoryTransport;
+
+exports.getTransport = () => transport;
+
+exports.setTransport = newTransport => {
+  transport = newTransport;
+};
+
+exports.sendSms = ({ to, text }) => transport.send({ to, text });
@@ -0,0 +1,15 @@
+const storageConfig = require('../../config/storage');
+
+// A storage backend implements:
+//   save(key, buffer)  -> Promise, stores the file under key
+//   remove(key)        -> Promise, deletes the file, no error if it is missing
+//   getUrl(key)        -> public URL of the file
+const drivers = {
+  local: () => require('./localStorage')
+};
+
+if (!drivers[storageConfig.driver]) {
+  throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+}
+
+module.exports = drivers[storageConfig.driver]();
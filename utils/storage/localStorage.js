@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const storageConfig = require('../../config/storage');
+
+// Storage backend writing files under config.uploadDir, served by express.static at config.publicPath
+const root = path.resolve(storageConfig.uploadDir);
+
+// Keep keys inside the upload directory
+const resolveKey = key => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+exports.save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+exports.remove = async key => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+exports.getUrl = key => `${storageConfig.publicPath}/${key}`;